@@ -2,46 +2,31 @@
 
 var _ = require('lodash');
 var OS = require('os');
-var FS = require('fs'); FS.mkdirpSync = require('mkdirp').sync;
+var FS = require('fs');
 var Path = require('path');
 var ChildProcess = require('child_process');
-var Crypto = require('crypto');
-var BcryptJS = require('bcryptjs');
 var CommandLineArgs = require('command-line-args');
 var CommandLineUsage = require('command-line-usage');
-var ReadlineSync = require('readline-sync');
-var IsRoot = require('is-root');
-var CommonDir = require('commondir');
-
-var defaultPrefix = 'trambar';
-var defaultPassword = 'password';
-var defaultBuild = 'latest';
-
-var defaultConfigFolder;
-var defaultDatabaseFolder;
-var defaultMediaFolder;
-
-switch (OS.type()) {
-    case 'Linux':
-        defaultConfigFolder = '/etc/trambar';
-        defaultDatabaseFolder = '/srv/trambar/postgres';
-        defaultMediaFolder = '/srv/trambar/media';
-        break;
-    case 'Windows_NT':
-        var home = _.replace(process.env.USERPROFILE, /\\/g, '/');
-        defaultConfigFolder = `${home}/Trambar`;
-        defaultDatabaseFolder = '';
-        defaultMediaFolder = '';
-        break;
-    case 'Darwin':
-        var home = process.env.HOME;
-        defaultConfigFolder = `${home}/Trambar`;
-        defaultDatabaseFolder = '';
-        defaultMediaFolder = '';
-        break;
-    default:
-        console.log('Unsupported operation system', OS.type());
-        process.exit(-1);
+var Trambar = require('../lib');
+var Utils = require('../lib/utils');
+
+var defaultPrefix = Trambar.defaults.prefix;
+var defaultBuild = Trambar.defaults.build;
+var defaultCertificateDays = Trambar.defaults.certificateDays;
+var defaultConfigFolder = Trambar.defaults.configFolder;
+
+var exitCodes = {
+    success: 0,
+    failure: 1,
+    usage: 2,
+    notRunning: 3,
+    dockerUnavailable: 4,
+    configMissing: 5,
+};
+
+if (!defaultConfigFolder) {
+    console.log('Unsupported operation system', OS.type());
+    process.exit(-1);
 }
 
 var optionDefinitions = [
@@ -51,30 +36,196 @@ var optionDefinitions = [
         multiple: true,
         defaultOption: true,
     },
+    {
+        name: 'answers',
+        type: String,
+        description: 'Read answers to installation prompts from JSON file'
+    },
+    {
+        name: 'bind-address',
+        type: String,
+        description: 'Specify address the HTTP port is bound to when behind a reverse proxy (default: 127.0.0.1)'
+    },
     {
         name: 'build',
         alias: 'b',
         type: String,
         description: `Specify Trambar build (default: ${defaultBuild})`
     },
+    {
+        name: 'cert',
+        type: String,
+        description: 'Specify path of SSL certificate'
+    },
     {
         name: 'config',
         alias: 'c',
         type: String,
         description: `Specify config directory (default: ${defaultConfigFolder})`
     },
+    {
+        name: 'contact-email',
+        type: String,
+        description: 'Specify contact e-mail for Certbot'
+    },
+    {
+        name: 'cpus',
+        type: String,
+        description: 'Number of CPUs a service can use, for resources set (e.g. 0.5)'
+    },
+    {
+        name: 'days',
+        type: Number,
+        description: `Specify validity period of self-signed certificate (default: ${defaultCertificateDays})`
+    },
+    {
+        name: 'database-folder',
+        type: String,
+        description: 'Specify database folder'
+    },
+    {
+        name: 'dry-run',
+        type: Boolean,
+        description: 'Show commands and file changes without carrying them out'
+    },
+    {
+        name: 'engine',
+        type: String,
+        description: 'Use given Compose implementation (docker, docker-compose, podman)'
+    },
+    {
+        name: 'force',
+        alias: 'f',
+        type: Boolean,
+        description: 'Overwrite existing data'
+    },
+    {
+        name: 'grep',
+        type: String,
+        description: 'Show only log lines matching regular expression'
+    },
     {
         name: 'help',
         alias: 'h',
         type: Boolean,
         description: 'Print this usage guide'
     },
+    {
+        name: 'http-port',
+        type: Number,
+        description: 'Specify HTTP port'
+    },
+    {
+        name: 'https-port',
+        type: Number,
+        description: 'Specify HTTPS port'
+    },
+    {
+        name: 'json',
+        type: Boolean,
+        description: 'Print output of ps, images, stats, status and list actions in JSON'
+    },
+    {
+        name: 'keep-daily',
+        type: Number,
+        description: 'Number of daily backups to keep'
+    },
+    {
+        name: 'keep-data',
+        type: Boolean,
+        description: 'Leave database and media files in place when uninstalling with --purge'
+    },
+    {
+        name: 'keep-weekly',
+        type: Number,
+        description: 'Number of weekly backups to keep'
+    },
+    {
+        name: 'key',
+        type: String,
+        description: 'Specify path of SSL private key'
+    },
+    {
+        name: 'media-folder',
+        type: String,
+        description: 'Specify media folder'
+    },
+    {
+        name: 'memory',
+        type: String,
+        description: 'Memory limit of a service, for resources set (e.g. 512m)'
+    },
+    {
+        name: 'no-follow',
+        type: Boolean,
+        description: 'Exit after printing logs'
+    },
+    {
+        name: 'no-stream',
+        type: Boolean,
+        description: 'Show stats once instead of continuously'
+    },
+    {
+        name: 'password-env',
+        type: String,
+        description: 'Read root password from environment variable'
+    },
+    {
+        name: 'password-file',
+        type: String,
+        description: 'Read root password from file'
+    },
     {
         name: 'prefix',
         alias: 'p',
         type: String,
         description: `Specify Docker container prefix (default: ${defaultPrefix})`
     },
+    {
+        name: 'proxy',
+        type: Boolean,
+        description: 'Run behind another reverse proxy (Traefik, Caddy, nginx) instead of handling SSL'
+    },
+    {
+        name: 'purge',
+        type: Boolean,
+        description: 'Remove configuration, backups and data too when uninstalling'
+    },
+    {
+        name: 'replicas',
+        type: String,
+        description: 'Number of containers running a service, for resources set'
+    },
+    {
+        name: 'server-name',
+        type: String,
+        description: 'Specify server domain name'
+    },
+    {
+        name: 'since',
+        type: String,
+        description: 'Show logs since timestamp or relative time (e.g. 2018-06-01T12:00:00, 30m)'
+    },
+    {
+        name: 'ssl',
+        type: String,
+        description: 'Specify SSL setup (none, certbot, self-signed, custom)'
+    },
+    {
+        name: 'tail',
+        type: String,
+        description: 'Number of lines to show from the end of the logs'
+    },
+    {
+        name: 'to',
+        type: String,
+        description: 'Specify storage type for migrate-storage (volumes, folders)'
+    },
+    {
+        name: 'until',
+        type: String,
+        description: 'Show logs before timestamp or relative time'
+    },
     {
         name: 'version',
         alias: 'v',
@@ -88,6 +239,21 @@ var optionDefinitions = [
         description: 'Automatic yes to prompts'
     },
 ];
+var answerOptions = {
+    'bind-address': 'bind_address',
+    'cert': 'cert_path',
+    'contact-email': 'contact_email',
+    'database-folder': 'database_folder',
+    'http-port': 'http_port',
+    'https-port': 'https_port',
+    'key': 'key_path',
+    'media-folder': 'media_folder',
+    'password-env': 'password_env',
+    'password-file': 'password_file',
+    'proxy': 'proxy',
+    'server-name': 'server_name',
+    'ssl': 'ssl',
+};
 var scriptDescription = [
     {
         header: 'Trambar',
@@ -96,17 +262,36 @@ var scriptDescription = [
     {
         header: 'Command List',
         content: [
+            { name: 'backup', summary: 'Back up database and media files' },
+            { name: 'build', summary: 'Show or change Trambar build (show|set <tag>)' },
+            { name: 'cert', summary: 'Create, renew or show self-signed SSL certificate (create|renew|info)' },
             { name: 'compose', summary: 'Edit Trambar Docker Compose configuration file' },
+            { name: 'doctor', summary: 'Diagnose problems with Trambar installation' },
             { name: 'env', summary: 'Edit Trambar environment variables' },
+            { name: 'history', summary: 'List images recorded before updates or set number to keep (keep <n>)' },
+            { name: 'images', summary: 'List Docker images used by Trambar' },
             { name: 'install', summary: 'Download Docker images and create default configuration' },
-            { name: 'logs', summary: 'Show Trambar server logs' },
+            { name: 'logs', summary: 'Show Trambar server logs (of all or given services)' },
+            { name: 'migrate-storage', summary: 'Move database and media files between folders and Docker volumes (--to volumes|folders)' },
+            { name: 'nginx', summary: 'Add, remove or list nginx config snippets (snippet add <template> [name]|remove <name>|list)' },
             { name: 'password', summary: 'Set password of root account' },
-            { name: 'restart', summary: 'Restart Trambar' },
+            { name: 'proxy-config', summary: 'Print or save configuration for a reverse proxy in front of Trambar (nginx|caddy|traefik [path])' },
+            { name: 'ps', summary: 'List Trambar services and their state' },
+            { name: 'reconfigure', summary: 'Change configuration without generating new passwords' },
+            { name: 'resources', summary: 'List, set or reset memory and CPU limits of services (list|set|reset <name>)' },
+            { name: 'restart', summary: 'Restart Trambar (or given services)' },
+            { name: 'restore', summary: 'Restore database and media files from backup' },
+            { name: 'rollback', summary: 'Revert to images recorded before an update' },
+            { name: 'rotate-secrets', summary: 'Change passwords of database roles' },
+            { name: 'service', summary: 'Install, uninstall or show systemd unit that starts Trambar on boot (install|uninstall|status)' },
+            { name: 'services', summary: 'List, enable or disable optional services (list|enable|disable <name>)' },
             { name: 'start', summary: 'Start Trambar' },
+            { name: 'status', summary: 'Same as doctor' },
             { name: 'stats', summary: 'Show Trambar CPU and memory usage' },
-            { name: 'stop', summary: 'Stop Trambar' },
+            { name: 'stop', summary: 'Stop Trambar (or given services)' },
             { name: 'update', summary: 'Pull latest images and restart Trambar' },
-            { name: 'uninstall', summary: 'Remove Trambar images and configuration' },
+            { name: 'user', summary: 'Add, remove, list user accounts or change password (add|remove|list|passwd)' },
+            { name: 'uninstall', summary: 'Remove Trambar containers and images (and data with --purge)' },
         ]
     },
     {
@@ -117,766 +302,645 @@ var scriptDescription = [
     }
 ];
 
-var options = CommandLineArgs(optionDefinitions);
+try {
+    var options = CommandLineArgs(optionDefinitions);
+} catch (err) {
+    console.log(err.message);
+    process.exit(exitCodes.usage);
+}
 var configFolder = options.config || defaultConfigFolder;
 var prefix = options.prefix || defaultPrefix;
-var build = options.build || defaultBuild;
 var command = _.get(options, [ '*', 0 ]);
+if (options.json) {
+    // keep standard output clean for JSON
+    console.log = console.error;
+}
 if (command) {
-    if (!runCommand(command)) {
-        process.exit(-1);
-    }
+    runCommand(command).then((success) => {
+        process.exit((success) ? exitCodes.success : exitCodes.failure);
+    }, (err) => {
+        if (!(err instanceof Trambar.CancelledError)) {
+            console.error(err.message);
+        }
+        process.exit(getExitCode(err));
+    });
 } else {
     if (options.version) {
-        var version = getVersion();
+        var version = Utils.getVersion();
         console.log(`Trambar version ${version}`);
     } else {
         var usage = CommandLineUsage(scriptDescription);
         console.log(usage);
     }
+    process.exit(0);
 }
-process.exit(0);
 
-function runCommand(command) {
+async function runCommand(command) {
+    var server = createServer();
     switch (_.toLower(command)) {
+        case 'backup':
+            return backup(server);
+        case 'build':
+            return manageBuild(server);
+        case 'cert':
+            return manageCertificate(server);
         case 'compose':
-            return editCompose();
+            return editConfigFile(server, `${configFolder}/docker-compose.yml`);
+        case 'doctor':
+        case 'status':
+            return diagnose(server);
         case 'env':
-            return editEnv();
+            return editConfigFile(server, `${configFolder}/.env`);
+        case 'history':
+            return showHistory(server);
+        case 'images':
+            return showImages(server);
         case 'install':
-            return install();
+            return install(server);
         case 'logs':
-            return showLogs();
+            return showLogs(server);
+        case 'migrate-storage':
+            return migrateStorage(server);
+        case 'nginx':
+            return manageNginx(server);
         case 'password':
-            return setPassword();
+            return setPassword(server);
+        case 'proxy-config':
+            return showProxyConfig(server);
+        case 'ps':
+            return showProcesses(server);
+        case 'reconfigure':
+            return reconfigure(server);
+        case 'resources':
+            return manageResources(server);
         case 'restart':
-            return restart();
+            return restart(server);
+        case 'restore':
+            return restore(server);
+        case 'rollback':
+            return rollback(server);
+        case 'rotate-secrets':
+            return rotateSecrets(server);
+        case 'service':
+            return manageSystemdUnit(server);
+        case 'services':
+            return manageServices(server);
         case 'start':
-            return start();
+            return start(server);
         case 'stats':
-            return showStats();
+            return showStats(server);
         case 'stop':
-            return stop();
+            return stop(server);
         case 'update':
-            return update();
+            return update(server);
         case 'uninstall':
-            return uninstall();
+            return uninstall(server);
+        case 'user':
+            return manageUsers(server);
         default:
-            console.log(`Unknown command: ${command}`);
-            return false;
+            throw new Trambar.UsageError(`Unknown command: ${command}`);
     }
 }
 
-function editCompose() {
-    if (!checkRootAccess()) {
-        return false;
-    }
-    var path = `${configFolder}/docker-compose.yml`;
-    editTextFile(path);
+function createServer() {
+    var log = (message) => {
+        console.log(message);
+    };
+    return new Trambar.TrambarServer({
+        configFolder: configFolder,
+        prefix: prefix,
+        build: options.build,
+        engine: options.engine,
+        dryRun: options['dry-run'],
+        prompter: createPrompter(log),
+        log: log,
+    });
 }
 
-function editEnv() {
-    if (!checkRootAccess()) {
-        return false;
+function createPrompter(log) {
+    var answers = {};
+    if (options.answers) {
+        var text = FS.readFileSync(options.answers, 'utf-8');
+        answers = JSON.parse(text);
+        if (!_.isPlainObject(answers)) {
+            throw new Trambar.TrambarError(`${options.answers} does not contain an object`);
+        }
+    }
+    // command-line arguments take precedence
+    _.each(answerOptions, (name, optionName) => {
+        if (options[optionName] !== undefined) {
+            answers[name] = options[optionName];
+        }
+    });
+    var settings = { answers: answers, yes: options.yes, log: log };
+    // no one is there to answer when answers come from a file
+    if (options.answers) {
+        return new Trambar.Prompter(settings);
+    } else {
+        return new Trambar.ConsolePrompter(settings);
     }
-    var path = `${configFolder}/.env`;
-    editTextFile(path);
 }
 
-function setPassword() {
-    if (!checkRootAccess()) {
-        return false;
-    }
-    if (!checkConfiguration()) {
-        return false;
-    }
-    var password = promptForPassword('Password:');
-    if (!savePassword(password)) {
-        return false;
+function getExitCode(err) {
+    if (err instanceof Trambar.UsageError) {
+        return exitCodes.usage;
+    } else if (err instanceof Trambar.NotRunningError) {
+        return exitCodes.notRunning;
+    } else if (err instanceof Trambar.DockerUnavailableError) {
+        return exitCodes.dockerUnavailable;
+    } else if (err instanceof Trambar.ConfigurationMissingError) {
+        return exitCodes.configMissing;
+    } else {
+        return exitCodes.failure;
     }
+}
+
+async function setPassword(server) {
+    await server.setPassword();
     return true;
 }
 
-function install() {
-    if (!checkRootAccess()) {
-        return false;
-    }
-    if (!createConfiguration()) {
-        return false;
-    }
-    if (!installDocker()) {
-        return false;
-    }
-    if (!installDockerCompose()) {
-        return false;
-    }
-    if (!checkDockerAccess()) {
-        return false;
-    }
-    if (!pullImages()) {
-        return false;
+async function manageUsers(server) {
+    var action = _.toLower(_.get(options, [ '*', 1 ]));
+    var name = _.get(options, [ '*', 2 ]);
+    switch (action) {
+        case 'list':
+            var names = await server.getUsers();
+            _.each(names, (name) => {
+                console.log(name);
+            });
+            return true;
+        case 'add':
+            await server.addUser(name);
+            return true;
+        case 'passwd':
+            await server.setPassword(undefined, name || '');
+            return true;
+        case 'remove':
+            await server.removeUser(name);
+            return true;
+        default:
+            throw new Trambar.UsageError(`Unknown action: ${action || ''}`);
     }
+}
+
+async function install(server) {
+    await server.install({ days: options.days });
     console.log('');
+    if (options['dry-run']) {
+        console.log('Dry run complete, nothing has been changed');
+        return true;
+    }
     console.log(`Installation complete`);
+    if (server.loadConfiguration().proxy) {
+        console.log(`Run "${getScriptName()} proxy-config nginx|caddy|traefik" to get configuration for the reverse proxy`);
+    }
     console.log(`Run "${getScriptName()} start" to start Trambar`);
     return true;
 }
 
-function start() {
-    if (!checkDockerAccess()) {
-        return false;
-    }
-    if (!checkConfiguration()) {
-        return false;
-    }
-    if (!createContainers()) {
-        return false;
-    }
+async function start(server) {
+    await server.start();
     return true;
 }
 
-function showStats() {
-    if (!checkDockerAccess()) {
-        return false;
+async function showStats(server) {
+    if (options.json) {
+        printJSON(await server.getStats());
+        return true;
     }
-    var processes = getProcesses();
-    if (_.isEmpty(processes)) {
-        console.log('Trambar is not currently running');
-        return false;
+    if (options['no-stream']) {
+        var list = await server.getStats();
+        printTable(list, [
+            { title: 'SERVICE', value: (s) => s.name },
+            { title: 'CPU %', value: (s) => (s.cpu !== null) ? `${s.cpu}%` : '' },
+            { title: 'CPU LIMIT', value: (s) => (s.limits.cpus) ? s.limits.cpus : '' },
+            { title: 'MEM USAGE', value: (s) => (s.memory) ? Utils.formatSize(s.memory.usage) : '' },
+            { title: 'MEM LIMIT', value: (s) => (s.limits.memory) ? Utils.formatSize(s.limits.memory) : '' },
+            { title: 'REPLICAS', value: (s) => s.limits.replicas || '' },
+        ]);
+        return true;
     }
-    var names = _.map(processes, 'Names').sort();
-    run('docker', _.concat('stats', names));
+    await server.streamStats({ stream: true });
     return true;
 }
 
-function showLogs() {
-    if (!checkDockerAccess()) {
-        return false;
-    }
-    if (!isRunning()) {
-        console.log('Trambar is not currently running');
-        return false;
+async function manageResources(server) {
+    var action = _.toLower(_.get(options, [ '*', 1 ]) || 'list');
+    var name = _.get(options, [ '*', 2 ]);
+    switch (action) {
+        case 'list':
+            var list = await server.getResourceLimits();
+            if (options.json) {
+                printJSON(list);
+                return true;
+            }
+            printTable(list, [
+                { title: 'SERVICE', value: (r) => r.name },
+                { title: 'MEMORY', value: (r) => r.memory || '' },
+                { title: 'CPUS', value: (r) => r.cpus || '' },
+                { title: 'REPLICAS', value: (r) => r.replicas || '' },
+            ]);
+            return true;
+        case 'set':
+            await server.setResourceLimits(name, {
+                memory: options.memory,
+                cpus: options.cpus,
+                replicas: options.replicas,
+            });
+            return true;
+        case 'reset':
+            await server.resetResourceLimits(name);
+            return true;
+        default:
+            throw new Trambar.UsageError(`Unknown action: ${action}`);
     }
-    process.chdir(configFolder);
-    return run('docker-compose', [ '-p', prefix, 'logs', '-f' ]);
-    return true;
 }
 
-function stop() {
-    if (!checkDockerAccess()) {
-        return false;
-    }
-    if (!checkConfiguration()) {
-        return false;
-    }
-    if (!isRunning()) {
-        console.log('Trambar is not currently running');
-        return false;
-    }
-    if (!destroyContainers()) {
-        return false;
+async function showProcesses(server) {
+    var list = await server.listServices();
+    if (options.json) {
+        printJSON(list);
+        return true;
     }
+    printTable(list, [
+        { title: 'SERVICE', value: (s) => s.name },
+        { title: 'STATE', value: (s) => s.state },
+        { title: 'UPTIME', value: (s) => formatDuration(s.uptime) },
+        { title: 'RESTARTS', value: (s) => s.restarts },
+        { title: 'IMAGE', value: (s) => (s.image) ? `${s.image}:${s.tag}` : '' },
+    ]);
     return true;
 }
 
-function restart() {
-    if (!checkDockerAccess()) {
-        return false;
-    }
-    if (!checkConfiguration()) {
-        return false;
-    }
-    if (!isRunning()) {
-        console.log('Trambar is not currently running');
-        return false;
-    }
-    if (!restartContainers()) {
-        return false;
+async function showImages(server) {
+    var list = await server.listImages();
+    if (options.json) {
+        printJSON(list);
+        return true;
     }
+    printTable(list, [
+        { title: 'SERVICE', value: (i) => i.name },
+        { title: 'IMAGE', value: (i) => `${i.image}:${i.tag}` },
+        { title: 'ID', value: (i) => (i.id) ? i.id.replace(/^sha256:/, '').substr(0, 12) : '(not pulled)' },
+        { title: 'CREATED', value: (i) => (i.created) ? Utils.formatDate(new Date(i.created)) : '' },
+        { title: 'SIZE', value: (i) => (i.size) ? Utils.formatSize(i.size) : '' },
+    ]);
     return true;
 }
 
-function update() {
-    if (!checkDockerAccess()) {
-        return false;
-    }
-    if (!checkConfiguration()) {
-        return false;
-    }
-    var restart = isRunning();
-    if (!pullImages()) {
-        return false;
-    }
-    if (restart) {
-        if (!createContainers()) {
-            return false;
-        }
-    }
-    if (!removeUntaggedImages()) {
-        return false;
-    }
+async function showLogs(server) {
+    var services = _.slice(options['*'], 1);
+    await server.streamLogs(services, {
+        follow: !options['no-follow'],
+        tail: options.tail,
+        since: options.since,
+        until: options.until,
+        grep: options.grep,
+    });
     return true;
 }
 
-function uninstall() {
-    if (!checkRootAccess()) {
-        return false;
-    }
-    if (isRunning()) {
-        if (!destroyContainers()) {
-            return false;
-        }
-    }
-    if (!removeImages()) {
-        return false;
-    }
+async function stop(server) {
+    await server.stop(_.slice(options['*'], 1));
     return true;
 }
 
-function editTextFile(path) {
-    var cmd = process.env.VISUAL || process.env.EDITOR || 'vi';
-    var args = [ path ];
-    return run(cmd, args);
+async function restart(server) {
+    await server.restart(_.slice(options['*'], 1));
+    return true;
 }
 
-function installDocker() {
-    if (isInstalled('docker')) {
-        return true;
-    }
-    switch (OS.type()) {
-        case 'Linux':
-            if (!confirm('Docker is not installed on this system. Do you want to install it?', true)) {
-                return false;
-            }
-            if (isInstalled('apt-get')) {
-                return run('apt-get -y install docker.io');
-            } else if (isInstalled('pacman')) {
-                return run('pacman --noconfirm -S docker')
-                    && run('systemctl enable docker')
-                    && run('systemctl start docker');
-            } else if (isInstalled('yum')) {
-                return run('yum -y install docker')
-                    && run('systemctl enable docker')
-                    && run('systemctl start docker');
-            } else if (isInstalled('urpmi')) {
-                return run('urpmi --auto docker')
-                    && run('systemctl enable docker')
-                    && run('systemctl start docker');
-            }
-        default:
-            var url = 'https://www.docker.com/get-docker';
-            console.log(`You must install Docker manually (${url})`);
-            return false;
-    }
+async function update(server) {
+    await server.update();
+    return true;
 }
 
-function installDockerCompose() {
-    if (isInstalled('docker-compose')) {
-        return true;
-    }
-    switch (OS.type()) {
-        case 'Linux':
-            if (!confirm('Docker Compose is not installed on this system. Do you want to install it?', true)) {
-                return false;
-            }
-            if (isInstalled('apt-get')) {
-                return run('apt-get -y install docker-compose');
-            } else if (isInstalled('pacman')) {
-                return run('pacman --noconfirm -S docker-compose');
-            } else if (isInstalled('yum')) {
-                return run('yum -y install epel-release')
-                    && run('yum -y install python-pip')
-                    && run('pip install docker-compose')
-                    && run('yum -y upgrade python*');
-            } else if (isInstalled('urpmi')) {
-                return run('urpmi --auto docker-compose');
+async function manageBuild(server) {
+    var action = _.toLower(_.get(options, [ '*', 1 ]) || 'show');
+    switch (action) {
+        case 'show':
+            var info = await server.getBuild();
+            if (info.tag) {
+                console.log(`${info.build} (rolled back to images recorded as ${info.tag})`);
+            } else {
+                console.log(info.build);
             }
+            return true;
+        case 'set':
+            await server.setBuild(_.get(options, [ '*', 2 ]));
+            return true;
         default:
-            var url = 'https://www.docker.com/get-docker';
-            console.log(`You must install Docker Compose manually (${url})`);
-            return false;
+            throw new Trambar.UsageError(`Unknown action: ${action}`);
     }
 }
 
-function pullImages() {
-    process.chdir(configFolder);
-    if (!run('docker-compose', [ 'pull' ])) {
-        return false;
-    }
+async function rollback(server) {
+    await server.rollback(_.get(options, [ '*', 1 ]));
     return true;
 }
 
-function removeUntaggedImages() {
-    var images = getImages();
-    _.each(images, (image) => {
-        if (image.Tag === '<none>') {
-            removeImage(image.ID);
-        }
+async function showHistory(server) {
+    if (_.toLower(_.get(options, [ '*', 1 ])) === 'keep') {
+        await server.setGenerations(_.get(options, [ '*', 2 ]));
+        return true;
+    }
+    var history = await server.getHistory();
+    if (_.isEmpty(history.entries)) {
+        console.log('No images have been recorded');
+    }
+    _.each(history.entries, (entry, index) => {
+        var current = (entry.current) ? ' (current)' : '';
+        console.log(`${index + 1}  ${Utils.formatDate(new Date(entry.date))}  build ${entry.build}  ${entry.tag}${current}`);
     });
+    console.log('');
+    console.log(`Keeping ${history.generations} generation(s) of images`);
     return true;
 }
 
-function removeImages() {
-    var images = getImages();
-    return _.every(images, (image) => {
-        return removeImage(image.ID);
+async function uninstall(server) {
+    await server.uninstall({
+        purge: options.purge,
+        keepData: options['keep-data'],
     });
+    return true;
 }
 
-function createContainers() {
-    process.chdir(configFolder);
-    return run('docker-compose', [ '-p', prefix, 'up', '-d' ]);
-}
-
-function destroyContainers() {
-    process.chdir(configFolder);
-    return run('docker-compose', [ '-p', prefix, 'down' ]);
-}
-
-function restartContainers() {
-    process.chdir(configFolder);
-    return run('docker-compose', [ '-p', prefix, 'restart' ]);
-}
-
-function confirm(question, def) {
-    var prompt = attachDefault(question, def) + ' ';
-    if (options.yes) {
-        console.log(prompt + ' Y');
-        return true;
-    }
-    var confirmed;
-    do {
-        var answer = _.trim(ReadlineSync.question(prompt));
-        if (!answer) {
-            confirmed = def;
-        } else if (/^y/i.test(answer)) {
-            confirmed = true;
-        } else if (/^n/i.test(answer)) {
-            confirmed = false;
-        }
-    } while(confirmed === undefined)
-    return confirmed;
+async function backup(server) {
+    await server.backup(_.get(options, [ '*', 1 ]), {
+        keepDaily: options['keep-daily'],
+        keepWeekly: options['keep-weekly'],
+    });
+    return true;
 }
 
-function promptForPassword(question, def) {
-    var prompt = attachDefault(question, def) + ' ';
-    if (options.yes) {
-        console.log(prompt);
-        return def;
-    }
-    var password;
-    do {
-        var answer = _.trim(ReadlineSync.question(prompt, { hideEchoBack: true }));
-        if (!answer) {
-            password = def;
-        } else {
-            password = answer;
-        }
-    } while(password === undefined)
-    return password;
+async function migrateStorage(server) {
+    await server.migrateStorage(options.to);
+    return true;
 }
 
-function promptForText(question, def) {
-    var prompt = attachDefault(question, def) + ' ';
-    var text;
-    if (options.yes) {
-        console.log(prompt + def);
-        return def;
-    }
-    do {
-        var answer = _.trim(ReadlineSync.question(prompt));
-        if (!answer) {
-            text = def;
-        } else {
-            text = answer;
-        }
-    } while(text === undefined)
-    return text;
+async function rotateSecrets(server) {
+    await server.rotateSecrets();
+    console.log('Database passwords changed');
+    return true;
 }
 
-function promptForPath(question, def) {
-    var prompt = attachDefault(question, def) + ' ';
-    if (options.yes) {
-        console.log(prompt);
-        return def;
-    }
-    var path;
-    do {
-        var answer = _.trim(ReadlineSync.question(prompt));
-        if (!answer) {
-            path = def;
-        } else {
-            path = answer;
-        }
-        if (path) {
-            if (!FS.existsSync(path)) {
-                console.error(`File not found: ${path}`);
-                path = undefined;
-            }
-        }
-    } while(path === undefined)
-    return path;
+async function reconfigure(server) {
+    await server.reconfigure({ days: options.days });
+    return true;
 }
 
-function promptForPort(question, def) {
-    var prompt = attachDefault(question, def) + ' ';
-    if (options.yes) {
-        console.log(prompt + def);
-        return def;
-    }
-    var port;
-    do {
-        var answer = _.trim(ReadlineSync.question(prompt));
-        if (!answer) {
-            port = def;
-        } else {
-            port = parseInt(answer);
-            if (port !== port) {
-                port = undefined;
-            }
-        }
-    } while(port === undefined)
-    return port;
+async function restore(server) {
+    var archivePath = _.get(options, [ '*', 1 ]);
+    var manifest = await server.restore(archivePath, { force: options.force });
+    console.log('');
+    console.log(`Restored backup ${Path.basename(archivePath)}`);
+    console.log(`  Created: ${manifest.created}`);
+    console.log(`  Build: ${manifest.build}`);
+    _.each(manifest.files, (file) => {
+        console.log(`  ${file.name}: ${file.size} bytes`);
+    });
+    return true;
 }
 
-function attachDefault(question, def) {
-    switch (typeof(def)) {
-        case 'boolean':
-            question += (def) ? ` [Y/n]` : ` [y/N]`;
-            break;
-        case 'number':
-            question += ` [${def}]`;
-            break;
-        case 'string':
-            if (def) {
-                question += ` [${def}]`;
-            }
-            break;
+async function diagnose(server) {
+    var status = await server.getStatus();
+    if (options.json) {
+        printJSON(status);
+        return !status.failed;
     }
-    return question;
-}
-
-function isRunning() {
-    var processes = getProcesses();
-    return !_.isEmpty(processes);
+    _.each(status.results, (result) => {
+        console.log(`[${_.toUpper(result.status)}] ${result.message}`);
+    });
+    console.log('');
+    console.log(`${status.passed} passed, ${status.warnings} warning(s), ${status.failed} failed`);
+    return !status.failed;
 }
 
-function checkRootAccess() {
-    switch (OS.type()) {
-        case 'Linux':
-            if (!IsRoot()) {
-                console.log('Root access required');
-                return false;
+async function manageSystemdUnit(server) {
+    var action = _.toLower(_.get(options, [ '*', 1 ]) || 'status');
+    switch (action) {
+        case 'install':
+            await server.installUnit();
+            return true;
+        case 'uninstall':
+            await server.uninstallUnit();
+            return true;
+        case 'status':
+            var status = await server.getUnitStatus();
+            if (options.json) {
+                printJSON(status);
+            } else if (!status.installed) {
+                console.log(`Systemd unit ${status.unit} is not installed`);
+            } else {
+                console.log(`Unit: ${status.unit}`);
+                console.log(`Path: ${status.path}`);
+                console.log(`Enabled: ${status.enabled ? 'yes' : 'no'}`);
+                console.log(`Active: ${status.active ? 'yes' : 'no'}`);
             }
             return true;
         default:
-            return true;
-
+            throw new Trambar.UsageError(`Unknown action: ${action}`);
     }
 }
 
-function checkDockerAccess() {
-    var cmd = `docker ps`;
-    try {
-        var options = {
-            stdio: [ 'pipe', 'pipe', 'ignore' ]
-        };
-        ChildProcess.execSync(cmd, options);
-        return true;
-    } catch (err) {
-        if (!isInstalled('docker')) {
-            console.log('Docker is not installed');
-        } else {
-            switch (OS.type()) {
-                case 'Linux':
-                    if (!IsRoot()) {
-                        console.log('Root access required');
-                    } else {
-                        console.log(err.message);
-                    }
-                    break;
-                case 'Windows_NT':
-                case 'Darwin':
-                console.error(err);
-                    console.log(err.message);
-                    console.log('Is Docker Machine running?');
-                    break;
+async function manageServices(server) {
+    var action = _.toLower(_.get(options, [ '*', 1 ]) || 'list');
+    var name = _.get(options, [ '*', 2 ]);
+    switch (action) {
+        case 'list':
+            var list = await server.getServiceSettings();
+            if (options.json) {
+                printJSON(list);
+                return true;
             }
-        }
-        return false;
+            printTable(list, [
+                { title: 'SERVICE', value: (s) => s.name },
+                { title: 'ENABLED', value: (s) => (s.enabled) ? 'yes' : 'no' },
+                { title: 'REQUIRED', value: (s) => (s.required) ? 'yes' : 'no' },
+                { title: 'DESCRIPTION', value: (s) => s.description },
+            ]);
+            return true;
+        case 'enable':
+            await server.enableService(name);
+            return true;
+        case 'disable':
+            await server.disableService(name);
+            return true;
+        default:
+            throw new Trambar.UsageError(`Unknown action: ${action}`);
     }
 }
 
-function checkConfiguration() {
-    if (!checkFileExistence(`${configFolder}/docker-compose.yml`)) {
-        return false;
+async function manageNginx(server) {
+    var group = _.toLower(_.get(options, [ '*', 1 ]));
+    if (group !== 'snippet') {
+        throw new Trambar.UsageError(`Unknown action: ${group}`);
     }
-    if (!checkFileExistence(`${configFolder}/.env`)) {
-        return false;
+    var action = _.toLower(_.get(options, [ '*', 2 ]) || 'list');
+    var args = _.slice(options['*'], 3);
+    switch (action) {
+        case 'list':
+            var list = await server.getSnippets();
+            if (options.json) {
+                printJSON(list);
+                return true;
+            }
+            printTable(list, [
+                { title: 'SNIPPET', value: (s) => s.name },
+                { title: 'TEMPLATE', value: (s) => s.template || '(custom)' },
+                { title: 'PATH', value: (s) => s.path },
+            ]);
+            return true;
+        case 'add':
+            await server.addSnippet(args[0], args[1]);
+            return true;
+        case 'remove':
+            await server.removeSnippet(args[0]);
+            return true;
+        default:
+            throw new Trambar.UsageError(`Unknown action: ${action}`);
     }
-    return true;
 }
 
-function checkFileExistence(path) {
-    if (!FS.existsSync(path)) {
-        console.log(`File not found: ${path}`);
-        return false;
+async function showProxyConfig(server) {
+    var type = _.get(options, [ '*', 1 ]);
+    var path = _.get(options, [ '*', 2 ]);
+    if (path) {
+        await server.saveProxyConfig(type, path);
+    } else {
+        process.stdout.write(await server.getProxyConfig(type));
     }
     return true;
 }
 
-function getProcesses(options) {
-    var cmd = 'docker';
-    var args = [ 'ps', '--format={ "Image": {{json .Image}}, "Names": {{json .Names}}, "ID": {{json .ID }} }' ];
-    try {
-        var text = ChildProcess.execFileSync(cmd, args);
-        var list = parseJSONList(text);
-        if (_.get(options, 'all')) {
-            return list;
-        } else {
-            return _.filter(list, (p) => {
-                if (/^trambar\//.test(p.Image)) {
-                    return true;
-                }
-            });
+async function manageCertificate(server) {
+    var action = _.toLower(_.get(options, [ '*', 1 ]) || 'create');
+    switch (action) {
+        case 'info':
+            var info = await server.getCertificate();
+            console.log(`Certificate: ${info.path}`);
+            console.log(`Subject: ${info.subject}`);
+            console.log(`Issuer: ${info.issuer}`);
+            console.log(`Alternative names: ${info.altNames.join(', ')}`);
+            console.log(`Valid from: ${info.notBefore ? info.notBefore.toISOString() : '?'}`);
+            console.log(`Valid until: ${info.notAfter ? info.notAfter.toISOString() : '?'}`);
+            return true;
+        case 'create':
+            await server.createCertificate({ days: options.days });
+            return true;
+        case 'renew':
+            await server.renewCertificate({ days: options.days });
+            return true;
+        default:
+            throw new Trambar.UsageError(`Unknown action: ${action}`);
+    }
+}
+
+async function editConfigFile(server, path) {
+    server.checkRootAccess();
+    server.checkDryRun(Path.basename(path));
+    server.checkConfiguration();
+    var prompter = server.prompter;
+    var servicesBefore = server.getServiceConfigurations();
+    var before = FS.readFileSync(path, 'utf-8');
+    for (;;) {
+        editTextFile(path);
+        var after = FS.readFileSync(path, 'utf-8');
+        if (after === before) {
+            console.log('No changes were made');
+            return true;
         }
-    } catch (err) {
-        console.error(err.message);
-        return [];
-    }
-}
-
-function getImages(options) {
-    var cmd = 'docker';
-    var args = [ 'images', '--format={ "Repository": {{json .Repository}}, "ID": {{json .ID }}, "Tag": {{json .Tag}} }' ];
-    try {
-        var text = ChildProcess.execFileSync(cmd, args);
-        var list = parseJSONList(text);
-        if (_.get(options, 'all')) {
-            return list;
-        } else {
-            return _.filter(list, (i) => {
-                if (/^trambar\//.test(i.Repository)) {
-                    return true;
-                }
-            });
+        console.log(`--- ${path} (before)`);
+        console.log(`+++ ${path} (after)`);
+        console.log(Utils.getTextDiff(before, after).join('\n'));
+        console.log('');
+        var problems = server.validateConfiguration();
+        _.each(problems, (problem) => {
+            console.log(`[${_.toUpper(problem.status)}] ${problem.message}`);
+        });
+        var failed = _.some(problems, { status: 'fail' });
+        // editing again isn't possible when no one is answering the prompts
+        var def = (!failed) ? 'keep' : (prompter.isInteractive()) ? 'edit' : 'revert';
+        var choice = await prompter.promptForChoice('Edit again, revert or keep changes?', [ 'edit', 'revert', 'keep' ], def);
+        if (choice === 'revert') {
+            console.log(`Restoring ${path}`);
+            FS.writeFileSync(path, before);
+            return true;
+        } else if (choice === 'keep') {
+            break;
         }
-    } catch (err) {
-        console.error(err.message);
-        return [];
     }
-}
-
-function removeImage(id) {
-    var cmd = 'docker';
-    var args = [ 'rmi', id ];
-    try {
-        ChildProcess.execFileSync(cmd, args);
+    if (failed || !await server.isDockerAccessible() || !await server.isRunning()) {
         return true;
-    } catch (err) {
-        console.error(err.message);
-        return false;
     }
-}
-
-function createConfiguration() {
-    try {
-        var public = isPublicServer();
-        var config = {
-            ssl: true,
-            certbot: (public) ? true : false,
-            snakeoil: (public) ? false : true,
-            server_name: (public) ? '' : OS.hostname(),
-            contact_email: '',
-            http_port: (public) ? 80 : 8080,
-            https_port: (public) ? 443 : 8443,
-            cert_path: '',
-            key_path: '',
-            ssl_folder: '',
-            database_folder: defaultDatabaseFolder,
-            media_folder: defaultMediaFolder,
-            volumes: !defaultDatabaseFolder || !defaultMediaFolder,
-            build: build,
-        };
-        config.ssl = confirm(`Set up SSL?`, config.ssl);
-        if (config.ssl) {
-            config.certbot = confirm(`Use certbot (https://certbot.eff.org/)?`, config.certbot);
-            if (config.certbot) {
-                config.server_name = promptForText(`Server domain name:`, config.server_name);
-                config.contact_email = promptForText(`Contact e-mail:`);
-                config.ssl_folder = './certbot';
-                config.snakeoil = false;
-            } else {
-                config.snakeoil = confirm(`Use self-signed SSL certificate?`, config.snakeoil);
-                config.server_name = promptForText(`Server domain name:`, config.server_name);
-                if (config.snakeoil) {
-                    config.ssl_folder = `${configFolder}/certs`;
-                    config.cert_path = `${config.ssl_folder}/snakeoil.crt`;
-                    config.key_path = `${config.ssl_folder}/snakeoil.key`;
-                } else {
-                    config.cert_path = promptForPath(`Full path of certificate:`);
-                    config.key_path = promptForPath(`Full path of private key:`);
-                    config.ssl_folder = CommonDir([
-                        config.cert_path,
-                        config.key_path,
-                        FS.realpathSync(config.cert_path),
-                        FS.realpathSync(config.key_path),
-                    ]);
-                    if (/^\/[^\/]+$/.test(config.ssl_folder)) {
-                        console.error('Certificate location requires mounting of root level folder');
-                        process.exit(-1);
-                    }
-                }
-            }
-            config.https_port = promptForPort(`HTTPS port:`, config.https_port);
-        }
-        config.http_port = promptForPort(`HTTP port:`, config.http_port);
-        config.password = _.map([ 1, 2, 3, 4], () => {
-            return Crypto.randomBytes(16).toString('hex');
-        });
-        var password = promptForPassword(`Password for Trambar root account:`, defaultPassword);
-
-        if (config.snakeoil) {
-            createConfigFile(config.cert_path, 'snakeoil.crt', {});
-            createConfigFile(config.key_path, 'snakeoil.key', {});
-        }
-        createConfigFile(`${configFolder}/docker-compose.yml`, 'docker-compose.yml', config);
-        createConfigFile(`${configFolder}/.env`, 'env', config, 0600);
-        savePassword(password);
+    // see which services are affected
+    var servicesAfter = server.getServiceConfigurations();
+    var changed = _.filter(_.keys(servicesAfter), (name) => {
+        return !_.isEqual(servicesBefore[name], servicesAfter[name]);
+    });
+    if (_.isEmpty(changed)) {
         return true;
-    } catch (err) {
-        console.error(err.message);
-        return false;
-    }
-}
-
-function createConfigFile(path, name, config, mode) {
-    if (FS.existsSync(path)) {
-        if (!confirm(`Overwrite ${path}?`, false)) {
-            return;
-        }
     }
-    var folder = Path.dirname(path);
-    FS.mkdirpSync(folder);
-    var templatePath = `${__dirname}/templates/${name}`;
-    var template = FS.readFileSync(templatePath, 'utf-8');
-    var fn = _.template(template, { interpolate: /<%=([\s\S]+?)%>/g });
-    var text = fn(config);
-
-    console.log(`Saving ${path}`)
-    FS.writeFileSync(path, text);
-    if (mode) {
-        FS.chmodSync(path, mode);
-    }
-}
-
-function savePassword(password) {
-    if (!password) {
-        return false;
-    }
-    var hash = BcryptJS.hashSync(password, 10);
-    // Bcrypt hash made by htpasswd has the prefix $2y$ instead of $2a$
-    hash = '$2y$' + hash.substring(4);
-    var text = `root:${hash}\n`;
-    var path = `${configFolder}/trambar.htpasswd`;
-    if (FS.existsSync(path)) {
-        if (!confirm(`Overwrite ${path}?`, false)) {
-            return;
-        }
-    }
-    console.log(`Saving ${path}`)
-    FS.writeFileSync(path, text);
-    return true;
-}
-
-function isInstalled(program) {
-    var cmd = `${program} --version`;
-    try {
-        var options = {
-            stdio: [ 'pipe', 'pipe', 'ignore' ]
-        };
-        ChildProcess.execSync(cmd, options);
+    if (!await prompter.confirm(`Recreate ${changed.join(', ')}?`, true)) {
         return true;
-    } catch (err) {
-        return false;
     }
+    server.createContainers(changed);
+    return true;
 }
 
-function run(cmd, args) {
+function editTextFile(path) {
+    var cmd = process.env.VISUAL || process.env.EDITOR || 'vi';
+    var args = [ path ];
     var options = {
         stdio: [ 'inherit', 'inherit', 'inherit' ]
     };
-    try {
-        if (args) {
-            ChildProcess.execFileSync(cmd, args, options);
-        } else {
-            ChildProcess.execSync(cmd, options);
-        }
-        return true;
-    } catch (err) {
-        console.error(err.message);
-        return false;
-    }
+    ChildProcess.execFileSync(cmd, args, options);
 }
 
-function parseJSONList(stdout) {
-    var text = stdout.toString('utf-8');
-    var lines = _.split(text, /[\r\n]+/);
-    lines = _.filter(_.map(lines, _.trim));
-    var list = _.map(lines, (line) => {
-        try {
-            return JSON.parse(line);
-        } catch (err) {
-            console.error(err.message);
-            return {};
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) {
+        return '';
+    }
+    var units = [ [ 'd', 86400 ], [ 'h', 3600 ], [ 'm', 60 ], [ 's', 1 ] ];
+    var parts = [];
+    _.each(units, (unit) => {
+        var count = Math.floor(seconds / unit[1]);
+        if (count > 0 || (unit[1] === 1 && _.isEmpty(parts))) {
+            parts.push(`${count}${unit[0]}`);
+            seconds -= count * unit[1];
         }
+        // show only the two most significant units
+        return parts.length < 2;
     });
-    return list;
-}
-
-function getVersion() {
-    var json = getPackage();
-    return _.get(json, 'version', 'unknown');
+    return parts.join(' ');
 }
 
-function getScriptName() {
-    var json = getPackage();
-    return _.get(json, 'name', 'unknown');
+function printTable(rows, columns) {
+    var cells = _.map(rows, (row) => {
+        return _.map(columns, (column) => {
+            return `${column.value(row)}`;
+        });
+    });
+    var widths = _.map(columns, (column, index) => {
+        return _.max(_.concat(column.title.length, _.map(cells, (c) => c[index].length)));
+    });
+    var format = (values) => {
+        return _.trimEnd(_.map(values, (value, index) => {
+            return _.padEnd(value, widths[index] + 2);
+        }).join(''));
+    };
+    console.log(format(_.map(columns, 'title')));
+    _.each(cells, (values) => {
+        console.log(format(values));
+    });
 }
 
-function getHostName() {
-    try {
-        var cmd = 'hostname';
-        var options = {
-            stdio: [ 'pipe', 'pipe', 'ignore' ]
-        };
-        var stdout = ChildProcess.execFileSync(cmd, [], options);
-        return _.trim(stdout.toString('utf-8'));
-    } catch (err) {
-        return 'localhost';
-    }
+function printJSON(data) {
+    process.stdout.write(JSON.stringify(data, undefined, 2) + '\n');
 }
 
-function getPackage() {
-    var text = FS.readFileSync(`${__dirname}/../package.json`, 'utf-8');
-    var json = JSON.parse(text);
-    return json;
-}
-
-function isPublicServer() {
-    var devices = OS.networkInterfaces();
-    return _.some(devices, (interfaces, name) => {
-        return _.some(interfaces, (interface) => {
-            if (!interface.internal) {
-                if (interface.family === 'IPv4') {
-                    if (/^192\.168\./.test(interface.address)) {
-                        return false;
-                    } else if (/^169\.254\./.test(interface.address)) {
-                        return false;
-                    }
-                    return true;
-                }
-            }
-        });
-    });
+function getScriptName() {
+    var json = Utils.getPackage();
+    return _.get(json, 'name', 'unknown');
 }
@@ -0,0 +1,121 @@
+var _ = require('lodash');
+var ChildProcess = require('child_process');
+var Errors = require('./errors');
+var Utils = require('./utils');
+
+// in order of preference
+var definitions = [
+    {
+        name: 'docker',
+        title: 'Docker Compose',
+        command: [ 'docker', 'compose' ],
+        versionArgs: [ 'version', '--short' ],
+        minimumVersion: '2.0.0',
+        cli: 'docker',
+    },
+    {
+        name: 'docker-compose',
+        title: 'Docker Compose',
+        command: [ 'docker-compose' ],
+        versionArgs: [ 'version', '--short' ],
+        minimumVersion: '1.17.0',
+        cli: 'docker',
+    },
+    {
+        name: 'podman',
+        title: 'podman-compose',
+        command: [ 'podman-compose' ],
+        versionArgs: [ '--version' ],
+        minimumVersion: '1.0.0',
+        cli: 'podman',
+    },
+];
+
+var engineNames = _.map(definitions, 'name');
+
+/**
+ * A Compose implementation, along with the command-line tool of the container
+ * engine it works with (used for running one-off containers).
+ */
+class ComposeEngine {
+    constructor(definition) {
+        this.name = definition.name;
+        this.title = definition.title;
+        this.command = definition.command;
+        this.versionArgs = definition.versionArgs;
+        this.minimumVersion = definition.minimumVersion;
+        this.cli = definition.cli;
+        this.version = null;
+    }
+
+    /**
+     * Return the version of the Compose implementation, or null if it isn't
+     * installed
+     *
+     * @return {String|null}
+     */
+    getVersion() {
+        var cmd = _.first(this.command);
+        var args = _.concat(_.tail(this.command), this.versionArgs);
+        var options = {
+            stdio: [ 'ignore', 'pipe', 'ignore' ]
+        };
+        try {
+            var text = ChildProcess.execFileSync(cmd, args, options).toString('utf-8');
+            var m = /(\d+\.\d+(\.\d+)?)/.exec(text);
+            return (m) ? m[1] : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    checkVersion() {
+        if (Utils.compareVersions(this.version, this.minimumVersion) < 0) {
+            throw new Errors.DockerUnavailableError(`${this.title} ${this.version} is not supported (${this.minimumVersion} or later is required)`);
+        }
+    }
+
+    /**
+     * Return command line for running a Compose command on a project
+     *
+     * @param  {String} project
+     * @param  {Array<String>} args
+     *
+     * @return {Array<String>}
+     */
+    getCommand(project, args) {
+        return _.concat(this.command, [ '-p', project ], args);
+    }
+}
+
+/**
+ * Return the first Compose implementation that is installed, or the one
+ * requested if it's installed
+ *
+ * @param  {String|undefined} name
+ *
+ * @return {ComposeEngine|null}
+ */
+function detectEngine(name) {
+    var candidates = definitions;
+    if (name) {
+        candidates = _.filter(definitions, { name });
+        if (_.isEmpty(candidates)) {
+            throw new Errors.UsageError(`Unknown engine: ${name} (valid engines: ${engineNames.join(', ')})`);
+        }
+    }
+    for (var definition of candidates) {
+        var engine = new ComposeEngine(definition);
+        engine.version = engine.getVersion();
+        if (engine.version) {
+            return engine;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    ComposeEngine,
+    detectEngine,
+    engineNames,
+};
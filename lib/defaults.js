@@ -0,0 +1,44 @@
+var _ = require('lodash');
+var OS = require('os');
+
+var defaults = {
+    prefix: 'trambar',
+    password: 'password',
+    build: 'latest',
+    certificateDays: 365,
+    generations: 3,
+    minimumFreeSpace: 1e9,
+    recommendedFreeSpace: 10e9,
+    minimumDockerVersion: '17.06.0',
+    minimumPodmanVersion: '3.0.0',
+    trustedProxies: '127.0.0.1, 172.16.0.0/12',
+    configFolder: undefined,
+    databaseFolder: undefined,
+    mediaFolder: undefined,
+    backupFolder: undefined,
+};
+
+switch (OS.type()) {
+    case 'Linux':
+        defaults.configFolder = '/etc/trambar';
+        defaults.databaseFolder = '/srv/trambar/postgres';
+        defaults.mediaFolder = '/srv/trambar/media';
+        defaults.backupFolder = '/srv/trambar/backups';
+        break;
+    case 'Windows_NT':
+        var home = _.replace(process.env.USERPROFILE, /\\/g, '/');
+        defaults.configFolder = `${home}/Trambar`;
+        defaults.databaseFolder = '';
+        defaults.mediaFolder = '';
+        defaults.backupFolder = `${home}/Trambar/backups`;
+        break;
+    case 'Darwin':
+        var home = process.env.HOME;
+        defaults.configFolder = `${home}/Trambar`;
+        defaults.databaseFolder = '';
+        defaults.mediaFolder = '';
+        defaults.backupFolder = `${home}/Trambar/backups`;
+        break;
+}
+
+module.exports = defaults;
@@ -0,0 +1,385 @@
+var _ = require('lodash');
+var FS = require('fs');
+var HTTP = require('http');
+var HTTPS = require('https');
+var OS = require('os');
+var QueryString = require('querystring');
+var Errors = require('./errors');
+
+/**
+ * Client for the Docker Engine API.
+ *
+ * Options:
+ *   socketPath - path of Unix socket or Windows named pipe
+ *   host - host name of daemon listening on TCP
+ *   port - port number of daemon listening on TCP
+ *   tls - object with ca, cert and key, for connecting through HTTPS
+ *   engine - "podman" to look for Podman's socket only
+ *
+ * Without options, the daemon is located the same way as the docker CLI
+ * does it: through DOCKER_HOST, DOCKER_TLS_VERIFY and DOCKER_CERT_PATH.
+ * Failing that, Podman's Docker-compatible socket is used when Docker's
+ * socket isn't there (or always, when engine is "podman").
+ */
+class DockerClient {
+    constructor(options) {
+        if (!options || (!options.socketPath && !options.host)) {
+            options = getEnvironmentOptions(process.env, _.get(options, 'engine'));
+        }
+        this.socketPath = options.socketPath;
+        this.host = options.host;
+        this.port = options.port;
+        this.tls = options.tls;
+    }
+
+    getAddress() {
+        if (this.socketPath) {
+            return `unix://${this.socketPath}`;
+        } else {
+            return `tcp://${this.host}:${this.port}`;
+        }
+    }
+
+    async ping() {
+        await this.request('GET', '/_ping', {}, { timeout: 10000 });
+    }
+
+    async getVersion() {
+        return this.request('GET', '/version');
+    }
+
+    async getInfo() {
+        return this.request('GET', '/info');
+    }
+
+    /**
+     * Return containers, optionally filtered
+     *
+     * @param  {Object} options - { all, filters: { label: [ 'name=value' ] } }
+     *
+     * @return {Promise<Array<Object>>}
+     */
+    async listContainers(options) {
+        var query = {
+            all: (_.get(options, 'all')) ? 1 : 0,
+            filters: JSON.stringify(_.get(options, 'filters', {})),
+        };
+        return this.request('GET', '/containers/json', query);
+    }
+
+    async inspectContainer(id) {
+        return this.request('GET', `/containers/${id}/json`);
+    }
+
+    async removeContainer(id, options) {
+        var query = {
+            force: (_.get(options, 'force')) ? 1 : 0,
+            v: (_.get(options, 'volumes')) ? 1 : 0,
+        };
+        await this.request('DELETE', `/containers/${id}`, query);
+    }
+
+    async getContainerStats(id) {
+        return this.request('GET', `/containers/${id}/stats`, { stream: 0 });
+    }
+
+    async listImages(options) {
+        var query = {
+            all: (_.get(options, 'all')) ? 1 : 0,
+            filters: JSON.stringify(_.get(options, 'filters', {})),
+        };
+        return this.request('GET', '/images/json', query);
+    }
+
+    /**
+     * Return details of an image, or null if it isn't in the local cache
+     *
+     * @param  {String} name
+     *
+     * @return {Promise<Object|null>}
+     */
+    async inspectImage(name) {
+        try {
+            return await this.request('GET', `/images/${name}/json`);
+        } catch (err) {
+            if (err.statusCode === 404) {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Return manifest information of an image from its registry, or null if
+     * the registry doesn't have it
+     *
+     * @param  {String} name
+     *
+     * @return {Promise<Object|null>}
+     */
+    async inspectDistribution(name) {
+        try {
+            return await this.request('GET', `/distribution/${name}/json`);
+        } catch (err) {
+            if (err.statusCode >= 400 && err.statusCode < 500) {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    async tagImage(name, repository, tag) {
+        await this.request('POST', `/images/${name}/tag`, { repo: repository, tag: tag });
+    }
+
+    async removeImage(name, options) {
+        var query = {
+            force: (_.get(options, 'force')) ? 1 : 0,
+        };
+        try {
+            return await this.request('DELETE', `/images/${name}`, query);
+        } catch (err) {
+            if (err.statusCode === 409) {
+                throw new Errors.ImageInUseError(err.statusCode, err.message);
+            }
+            throw err;
+        }
+    }
+
+    async listVolumes(options) {
+        var query = {
+            filters: JSON.stringify(_.get(options, 'filters', {})),
+        };
+        var result = await this.request('GET', '/volumes', query);
+        return result.Volumes || [];
+    }
+
+    async removeVolume(name) {
+        await this.request('DELETE', `/volumes/${name}`);
+    }
+
+    /**
+     * Pull an image, calling onProgress with each progress event sent by the
+     * daemon ({ id, status, progressDetail })
+     *
+     * @param  {String} name
+     * @param  {Function|undefined} onProgress
+     */
+    async pullImage(name, onProgress) {
+        var m = /^(.*?)(?::([^:\/]*))?$/.exec(name);
+        var query = {
+            fromImage: m[1],
+            tag: m[2] || 'latest',
+        };
+        await this.stream('POST', '/images/create', query, (event) => {
+            if (event.error) {
+                throw new Errors.DockerAPIError(500, event.error);
+            }
+            if (onProgress) {
+                onProgress(event);
+            }
+        });
+    }
+
+    /**
+     * Send a request to the daemon, returning the decoded response
+     *
+     * @param  {String} method
+     * @param  {String} path
+     * @param  {Object|undefined} query
+     * @param  {Object|undefined} options - { timeout }
+     *
+     * @return {Promise<Object|String>}
+     */
+    request(method, path, query, options) {
+        return new Promise((resolve, reject) => {
+            var req = this.send(method, path, query, (res) => {
+                var chunks = [];
+                res.on('data', (chunk) => {
+                    chunks.push(chunk);
+                });
+                res.on('end', () => {
+                    var text = Buffer.concat(chunks).toString('utf-8');
+                    var body = text;
+                    if (/json/.test(res.headers['content-type']) && text) {
+                        try {
+                            body = JSON.parse(text);
+                        } catch (err) {
+                            return reject(err);
+                        }
+                    }
+                    if (res.statusCode >= 400) {
+                        reject(createResponseError(res.statusCode, body));
+                    } else {
+                        resolve(body);
+                    }
+                });
+                res.on('error', reject);
+            }, reject);
+            if (_.get(options, 'timeout')) {
+                req.setTimeout(options.timeout, () => {
+                    var err = new Error('Request timed out');
+                    err.code = 'ETIMEDOUT';
+                    req.destroy(err);
+                });
+            }
+            req.end();
+        });
+    }
+
+    /**
+     * Send a request whose response is a stream of JSON objects, calling
+     * onData with each of them
+     *
+     * @param  {String} method
+     * @param  {String} path
+     * @param  {Object|undefined} query
+     * @param  {Function} onData
+     *
+     * @return {Promise}
+     */
+    stream(method, path, query, onData) {
+        return new Promise((resolve, reject) => {
+            var req = this.send(method, path, query, (res) => {
+                if (res.statusCode >= 400) {
+                    var chunks = [];
+                    res.on('data', (chunk) => {
+                        chunks.push(chunk);
+                    });
+                    res.on('end', () => {
+                        var text = Buffer.concat(chunks).toString('utf-8');
+                        try {
+                            text = JSON.parse(text);
+                        } catch (err) {
+                        }
+                        reject(createResponseError(res.statusCode, text));
+                    });
+                    return;
+                }
+                var remaining = '';
+                var failed = false;
+                var processLines = (text) => {
+                    var lines = _.split(text, /\r?\n/);
+                    remaining = lines.pop();
+                    _.each(lines, (line) => {
+                        if (_.trim(line)) {
+                            onData(JSON.parse(line));
+                        }
+                    });
+                };
+                res.on('data', (chunk) => {
+                    if (failed) {
+                        return;
+                    }
+                    try {
+                        processLines(remaining + chunk.toString('utf-8'));
+                    } catch (err) {
+                        failed = true;
+                        res.destroy();
+                        reject(err);
+                    }
+                });
+                res.on('end', () => {
+                    if (failed) {
+                        return;
+                    }
+                    try {
+                        processLines(remaining + '\n');
+                        resolve();
+                    } catch (err) {
+                        reject(err);
+                    }
+                });
+                res.on('error', reject);
+            }, reject);
+            req.end();
+        });
+    }
+
+    send(method, path, query, onResponse, onError) {
+        var search = (_.isEmpty(query)) ? '' : '?' + QueryString.stringify(query);
+        var options = {
+            method: method,
+            path: encodeURI(path) + search,
+            headers: { 'Content-Type': 'application/json' },
+        };
+        var transport = HTTP;
+        if (this.socketPath) {
+            options.socketPath = this.socketPath;
+        } else {
+            options.host = this.host;
+            options.port = this.port;
+            if (this.tls) {
+                transport = HTTPS;
+                _.assign(options, this.tls);
+            }
+        }
+        var req = transport.request(options, onResponse);
+        req.on('error', (err) => {
+            onError(this.translateError(err));
+        });
+        return req;
+    }
+
+    translateError(err) {
+        var address = this.getAddress();
+        switch (err.code) {
+            case 'EACCES':
+            case 'EPERM':
+                return new Errors.DockerPermissionError(`Permission denied while connecting to Docker daemon at ${address}`);
+            case 'ENOENT':
+            case 'ECONNREFUSED':
+            case 'ECONNRESET':
+            case 'ENOTFOUND':
+            case 'EHOSTUNREACH':
+            case 'ETIMEDOUT':
+                return new Errors.DaemonUnreachableError(`Cannot connect to Docker daemon at ${address}`);
+            default:
+                return err;
+        }
+    }
+}
+
+function createResponseError(statusCode, body) {
+    var message = _.get(body, 'message') || _.trim(body) || `HTTP ${statusCode}`;
+    return new Errors.DockerAPIError(statusCode, message);
+}
+
+function getEnvironmentOptions(env, engine) {
+    var host = env.DOCKER_HOST;
+    if (!host) {
+        if (OS.type() === 'Windows_NT') {
+            return { socketPath: '//./pipe/docker_engine' };
+        }
+        var podmanPaths = _.filter([
+            '/run/podman/podman.sock',
+            (env.XDG_RUNTIME_DIR) ? `${env.XDG_RUNTIME_DIR}/podman/podman.sock` : null,
+        ]);
+        var paths = (engine === 'podman') ? podmanPaths : _.concat('/var/run/docker.sock', podmanPaths);
+        var socketPath = _.find(paths, (path) => FS.existsSync(path));
+        return { socketPath: socketPath || _.first(paths) };
+    }
+    var m = /^(unix|npipe|tcp):\/\/(.*)$/.exec(host);
+    if (!m) {
+        throw new Errors.UsageError(`Unsupported DOCKER_HOST: ${host}`);
+    }
+    if (m[1] !== 'tcp') {
+        return { socketPath: m[2] };
+    }
+    var address = /^\[?([^\]]*?)\]?(?::(\d+))?\/?$/.exec(m[2]);
+    var options = {
+        host: address[1],
+        port: parseInt(address[2]) || ((env.DOCKER_TLS_VERIFY) ? 2376 : 2375),
+    };
+    if (env.DOCKER_TLS_VERIFY) {
+        var certFolder = env.DOCKER_CERT_PATH || `${OS.homedir()}/.docker`;
+        options.tls = {
+            ca: FS.readFileSync(`${certFolder}/ca.pem`),
+            cert: FS.readFileSync(`${certFolder}/cert.pem`),
+            key: FS.readFileSync(`${certFolder}/key.pem`),
+        };
+    }
+    return options;
+}
+
+module.exports = DockerClient;
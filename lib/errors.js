@@ -0,0 +1,89 @@
+class TrambarError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// invalid command, action, argument or service name
+class UsageError extends TrambarError {}
+
+class NotRunningError extends TrambarError {
+    constructor(message) {
+        super(message || 'Trambar is not currently running');
+    }
+}
+
+class DockerUnavailableError extends TrambarError {}
+
+class DaemonUnreachableError extends DockerUnavailableError {}
+
+class DockerPermissionError extends DockerUnavailableError {}
+
+// error response from the Docker Engine API
+class DockerAPIError extends TrambarError {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+class ImageInUseError extends DockerAPIError {}
+
+class ConfigurationMissingError extends TrambarError {
+    constructor(path) {
+        super(`File not found: ${path}`);
+        this.path = path;
+    }
+}
+
+class PermissionDeniedError extends TrambarError {
+    constructor(message) {
+        super(message || 'Root access required');
+    }
+}
+
+class NotFoundError extends TrambarError {}
+
+class CommandFailedError extends TrambarError {
+    constructor(cmd, args, err) {
+        var stderr = (err.stderr) ? err.stderr.toString('utf-8').trim() : '';
+        super(stderr || err.message);
+        this.command = cmd;
+        this.args = args || [];
+        this.status = (err.status !== undefined) ? err.status : null;
+        this.stderr = stderr;
+    }
+}
+
+// checks made before installing or starting found a problem
+class PreflightError extends TrambarError {
+    constructor(results) {
+        super('Preflight checks failed');
+        this.results = results;
+    }
+}
+
+// a confirmation prompt was answered with no
+class CancelledError extends TrambarError {
+    constructor(message) {
+        super(message || 'Operation cancelled');
+    }
+}
+
+module.exports = {
+    TrambarError,
+    UsageError,
+    NotRunningError,
+    DockerUnavailableError,
+    DaemonUnreachableError,
+    DockerPermissionError,
+    DockerAPIError,
+    ImageInUseError,
+    ConfigurationMissingError,
+    PermissionDeniedError,
+    NotFoundError,
+    CommandFailedError,
+    PreflightError,
+    CancelledError,
+};
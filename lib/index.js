@@ -0,0 +1,13 @@
+var TrambarServer = require('./trambar-server');
+var DockerClient = require('./docker-client');
+var Prompter = require('./prompter');
+var Errors = require('./errors');
+var Defaults = require('./defaults');
+
+module.exports = Object.assign({
+    TrambarServer,
+    DockerClient,
+    Prompter: Prompter.Prompter,
+    ConsolePrompter: Prompter.ConsolePrompter,
+    defaults: Defaults,
+}, Errors);
@@ -0,0 +1,264 @@
+var _ = require('lodash');
+var FS = require('fs');
+var ReadlineSync = require('readline-sync');
+var Errors = require('./errors');
+
+/**
+ * Answers prompts without asking anyone. A value comes from the answers
+ * given to the constructor, otherwise the default is used. A prompt that
+ * has neither causes an error.
+ *
+ * Subclasses can override ask() to get input from elsewhere. Any prompt
+ * method may return a promise.
+ */
+class Prompter {
+    constructor(options) {
+        options = options || {};
+        this.answers = normalizeAnswers(_.clone(options.answers || {}));
+        this.yes = !!options.yes;
+        this.log = options.log || _.noop;
+    }
+
+    isInteractive() {
+        return false;
+    }
+
+    hasAnswer(name) {
+        return !!name && _.has(this.answers, name);
+    }
+
+    getAnswer(name) {
+        return this.answers[name];
+    }
+
+    confirm(question, def, name) {
+        var prompt = attachDefault(question, def) + ' ';
+        if (this.hasAnswer(name)) {
+            return this.useAnswer(prompt, name, parseBoolean);
+        }
+        if (this.yes) {
+            this.log(prompt + ' Y');
+            return true;
+        }
+        return this.ask(prompt, name, def, parseBoolean);
+    }
+
+    promptForPassword(question, def, name) {
+        var prompt = attachDefault(question, def) + ' ';
+        if (this.hasAnswer(name)) {
+            return this.useAnswer(prompt, name, parseText, true);
+        }
+        return this.ask(prompt, name, def, parseText, true);
+    }
+
+    promptForText(question, def, name) {
+        var prompt = attachDefault(question, def) + ' ';
+        if (this.hasAnswer(name)) {
+            return this.useAnswer(prompt, name, parseText);
+        }
+        return this.ask(prompt, name, def, parseText);
+    }
+
+    promptForPath(question, def, name) {
+        var prompt = attachDefault(question, def) + ' ';
+        if (this.hasAnswer(name)) {
+            return this.useAnswer(prompt, name, parsePath);
+        }
+        return this.ask(prompt, name, def, parsePath);
+    }
+
+    promptForPort(question, def, name) {
+        var prompt = attachDefault(question, def) + ' ';
+        if (this.hasAnswer(name)) {
+            return this.useAnswer(prompt, name, parsePort);
+        }
+        return this.ask(prompt, name, def, parsePort);
+    }
+
+    promptForChoice(question, choices, def) {
+        var keys = _.map(choices, (choice) => {
+            var key = choice.charAt(0);
+            return (choice === def) ? _.toUpper(key) : key;
+        });
+        var prompt = `${question} [${keys.join('/')}] `;
+        if (!this.isInteractive()) {
+            this.log(prompt + def);
+            return def;
+        }
+        var parse = (answer) => {
+            var choice = _.find(choices, (choice) => {
+                return _.startsWith(choice, _.toLower(answer));
+            });
+            if (!choice) {
+                throw new Error(`Not one of the choices: ${answer}`);
+            }
+            return choice;
+        };
+        return this.ask(prompt, undefined, def, parse);
+    }
+
+    ask(prompt, name, def, parse, hidden) {
+        return this.useDefault(prompt, name, def, hidden);
+    }
+
+    useAnswer(prompt, name, parse, hidden) {
+        var value;
+        try {
+            value = parse(this.answers[name]);
+        } catch (err) {
+            throw new Errors.TrambarError(`Invalid value for ${name}: ${err.message}`);
+        }
+        this.log(prompt + formatAnswer(value, hidden));
+        return value;
+    }
+
+    useDefault(prompt, name, def, hidden) {
+        // a value is required when there's no default and no one to ask
+        if (def === undefined || def === '') {
+            throw new Errors.TrambarError(`No value provided for ${name}`);
+        }
+        this.log(prompt + formatAnswer(def, hidden));
+        return def;
+    }
+}
+
+/**
+ * Asks questions at the terminal, unless told to answer yes to everything.
+ */
+class ConsolePrompter extends Prompter {
+    constructor(options) {
+        super(_.defaults({}, options, { log: console.log }));
+    }
+
+    isInteractive() {
+        return !this.yes;
+    }
+
+    ask(prompt, name, def, parse, hidden) {
+        if (!this.isInteractive()) {
+            return this.useDefault(prompt, name, def, hidden);
+        }
+        var value;
+        do {
+            var answer = _.trim(ReadlineSync.question(prompt, { hideEchoBack: !!hidden })) || def;
+            value = undefined;
+            if (answer !== undefined && answer !== '') {
+                try {
+                    value = parse(answer);
+                } catch (err) {
+                    console.error(err.message);
+                }
+            }
+        } while(value === undefined)
+        return value;
+    }
+}
+
+function normalizeAnswers(answers) {
+    if (typeof(answers.ssl) === 'string' && !/^(y|n|true$|false$)/i.test(answers.ssl)) {
+        switch (_.toLower(answers.ssl)) {
+            case 'none':
+                answers.ssl = false;
+                break;
+            case 'certbot':
+                answers.ssl = true;
+                answers.certbot = true;
+                break;
+            case 'self-signed':
+                answers.ssl = true;
+                answers.certbot = false;
+                answers.snakeoil = true;
+                break;
+            case 'custom':
+                answers.ssl = true;
+                answers.certbot = false;
+                answers.snakeoil = false;
+                break;
+            default:
+                throw new Errors.TrambarError(`Invalid value for ssl: ${answers.ssl}`);
+        }
+    }
+    if (answers.password_file) {
+        var password = FS.readFileSync(answers.password_file, 'utf-8');
+        answers.password = _.trimEnd(password, '\r\n');
+    } else if (answers.password_env) {
+        if (process.env[answers.password_env] === undefined) {
+            throw new Errors.TrambarError(`Environment variable ${answers.password_env} is not set`);
+        }
+        answers.password = process.env[answers.password_env];
+    }
+    return answers;
+}
+
+function formatAnswer(value, hidden) {
+    if (hidden) {
+        return '';
+    } else if (typeof(value) === 'boolean') {
+        return (value) ? 'Y' : 'N';
+    } else {
+        return value;
+    }
+}
+
+function parseBoolean(value) {
+    if (typeof(value) === 'boolean') {
+        return value;
+    }
+    var text = _.trim(value);
+    if (/^(y|true$)/i.test(text)) {
+        return true;
+    } else if (/^(n|false$)/i.test(text)) {
+        return false;
+    }
+    throw new Error(`Not a yes/no value: ${value}`);
+}
+
+function parseText(value) {
+    var text = _.trim(value);
+    if (!text) {
+        throw new Error('Value cannot be empty');
+    }
+    return text;
+}
+
+function parsePath(value) {
+    var path = parseText(value);
+    if (!FS.existsSync(path)) {
+        throw new Error(`File not found: ${path}`);
+    }
+    return path;
+}
+
+function parsePort(value) {
+    var port = (typeof(value) === 'number') ? value : parseInt(_.trim(value));
+    if (!(port >= 1 && port <= 65535) || port !== Math.floor(port)) {
+        throw new Error(`Invalid port number: ${value}`);
+    }
+    return port;
+}
+
+function attachDefault(question, def) {
+    switch (typeof(def)) {
+        case 'boolean':
+            question += (def) ? ` [Y/n]` : ` [y/N]`;
+            break;
+        case 'number':
+            question += ` [${def}]`;
+            break;
+        case 'string':
+            if (def) {
+                question += ` [${def}]`;
+            }
+            break;
+    }
+    return question;
+}
+
+module.exports = {
+    Prompter,
+    ConsolePrompter,
+    parseBoolean,
+    parseText,
+    parsePath,
+    parsePort,
+};
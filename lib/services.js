@@ -0,0 +1,85 @@
+var _ = require('lodash');
+
+// services Trambar can't work without
+var requiredServices = [
+    'nginx',
+    'postgres',
+    'schema_manager',
+    'data_server',
+    'admin_data_server',
+    'session_manager',
+    'media_server',
+    'event_notifier',
+    'live_data_invalidator',
+    'live_data_updater',
+];
+
+// services that can be turned on and off; a new adapter is added here, with
+// its block in templates/docker-compose.yml commented out when services[name]
+// is false
+var optionalServices = [
+    {
+        name: 'gitlab_adapter',
+        description: 'Imports projects, users and activities from GitLab',
+        enabled: true,
+    },
+];
+
+// stateless services that can run in more than one container
+var scalableServices = [
+    'data_server',
+    'admin_data_server',
+    'session_manager',
+    'media_server',
+];
+
+/**
+ * Return names of all services, required ones first
+ *
+ * @return {Array<String>}
+ */
+function getServiceNames() {
+    return _.concat(requiredServices, _.map(optionalServices, 'name'));
+}
+
+/**
+ * Return whether each optional service is enabled, using the defaults for
+ * ones missing from the settings
+ *
+ * @param  {Object|undefined} settings
+ *
+ * @return {Object}
+ */
+function getServiceFlags(settings) {
+    var names = _.map(optionalServices, 'name');
+    var defaults = _.map(optionalServices, 'enabled');
+    return _.defaults(_.pick(settings, names), _.zipObject(names, defaults));
+}
+
+/**
+ * Return resource limits of every service, with empty values for limits that
+ * aren't set
+ *
+ * @param  {Object|undefined} settings
+ *
+ * @return {Object}
+ */
+function getResourceLimits(settings) {
+    var names = getServiceNames();
+    return _.zipObject(names, _.map(names, (name) => {
+        return _.defaults({}, _.get(settings, name), {
+            memory: '',
+            cpus: '',
+            replicas: '',
+        });
+    }));
+}
+
+module.exports = {
+    requiredServices,
+    optionalServices,
+    scalableServices,
+    getServiceNames,
+    getServiceFlags,
+    getResourceLimits,
+};
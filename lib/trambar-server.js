@@ -0,0 +1,3466 @@
+var _ = require('lodash');
+var OS = require('os');
+var FS = require('fs'); FS.mkdirpSync = require('mkdirp').sync;
+var Path = require('path');
+var ChildProcess = require('child_process');
+var DNS = require('dns');
+var Net = require('net');
+var Crypto = require('crypto');
+var BcryptJS = require('bcryptjs');
+var IsRoot = require('is-root');
+var CommonDir = require('commondir');
+var Yaml = require('js-yaml');
+var ComposeEngine = require('./compose-engine');
+var Defaults = require('./defaults');
+var DockerClient = require('./docker-client');
+var Errors = require('./errors');
+var Prompter = require('./prompter').Prompter;
+var Parsers = require('./prompter');
+var Services = require('./services');
+var Utils = require('./utils');
+
+/**
+ * A Trambar installation, described by its config folder and the prefix of
+ * its Docker containers.
+ *
+ * Options:
+ *   configFolder - folder holding docker-compose.yml and .env
+ *   prefix - Docker Compose project name
+ *   build - Trambar build to install (default: the one in .env or latest)
+ *   prompter - object answering questions (default: Prompter, which uses defaults)
+ *   log - function receiving progress messages (default: none)
+ *   stdio - stdio setting for Docker Compose and other programs (default: inherit)
+ *   engine - Compose implementation to use: docker, docker-compose or podman
+ *            (default: the first one found)
+ *   docker - DockerClient used to talk to the Docker daemon
+ *   progress - function receiving progress events when images are pulled
+ *   dryRun - log commands and file changes instead of carrying them out
+ *
+ * Methods throw errors from ./errors when they fail.
+ */
+class TrambarServer {
+    constructor(options) {
+        options = options || {};
+        this.configFolder = options.configFolder || Defaults.configFolder;
+        this.prefix = options.prefix || Defaults.prefix;
+        this.build = options.build;
+        this.prompter = options.prompter || new Prompter;
+        this.log = options.log || _.noop;
+        this.stdio = options.stdio || 'inherit';
+        this.engineName = options.engine;
+        if (this.engineName && !_.includes(ComposeEngine.engineNames, this.engineName)) {
+            throw new Errors.UsageError(`Unknown engine: ${this.engineName} (valid engines: ${ComposeEngine.engineNames.join(', ')})`);
+        }
+        this.engine = null;
+        this.docker = options.docker || new DockerClient({ engine: this.engineName });
+        this.progress = options.progress || ((event, image) => {
+            this.reportProgress(event, image);
+        });
+        this.dryRun = !!options.dryRun;
+    }
+
+    /**
+     * Create configuration files, install Docker if necessary and pull images
+     *
+     * @param  {Object} options
+     */
+    async install(options) {
+        this.checkRootAccess();
+        var config = await this.createConfiguration(options);
+        await this.installDocker();
+        await this.installDockerCompose();
+        if (this.dryRun && !this.findEngine()) {
+            this.log('Remaining steps require Docker Compose to be installed');
+            return;
+        }
+        this.getEngine();
+        await this.checkDockerAccess();
+        // config files aren't written during a dry run
+        await this.checkPreflight(config);
+        await this.pullImages(config);
+        if (this.isSystemdAvailable() && !this.hasUnit()) {
+            if (await this.prompter.confirm('Start Trambar automatically when the system boots?', true, 'systemd')) {
+                await this.installUnit();
+            }
+        }
+    }
+
+    async start() {
+        await this.checkDockerAccess();
+        this.checkConfiguration();
+        await this.checkPreflight();
+        if (this.hasUnit() && !this.isUnitActive()) {
+            this.run('systemctl', [ 'start', this.getUnitName() ]);
+        } else {
+            this.createContainers();
+        }
+    }
+
+    /**
+     * Stop given services, or stop Trambar and remove its containers
+     *
+     * @param  {Array<String>} services
+     */
+    async stop(services) {
+        await this.checkDockerAccess();
+        this.checkConfiguration();
+        await this.checkRunning();
+        if (!_.isEmpty(services)) {
+            this.checkServiceNames(services);
+            this.stopContainers(services);
+        } else if (this.hasUnit() && this.isUnitActive()) {
+            this.run('systemctl', [ 'stop', this.getUnitName() ]);
+        } else {
+            this.destroyContainers();
+        }
+    }
+
+    async restart(services) {
+        await this.checkDockerAccess();
+        this.checkConfiguration();
+        await this.checkRunning();
+        this.checkServiceNames(services);
+        this.restartContainers(services);
+    }
+
+    async update() {
+        await this.checkDockerAccess();
+        this.checkConfiguration();
+        var restart = await this.isRunning();
+        var env = this.loadEnvironment();
+        var history = this.loadHistory();
+        var pinned = _.find(history, { tag: env.TRAMBAR_BUILD });
+        if (pinned) {
+            // go back to the build in use before the rollback
+            this.log(`Switching from ${pinned.tag} to ${pinned.build}`);
+            this.saveEnvironment({ TRAMBAR_BUILD: pinned.build });
+        } else {
+            await this.recordImages(env, history);
+        }
+        await this.pullImages();
+        if (restart) {
+            this.createContainers();
+        }
+        await this.removeUntaggedImages();
+        await this.removeOldGenerations();
+    }
+
+    /**
+     * Set password of an account, asking for it when none is given
+     *
+     * @param  {String|undefined} password
+     * @param  {String|undefined} name
+     */
+    async setPassword(password, name) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        if (name !== undefined) {
+            this.checkUserName(name);
+            if (!_.includes(this.getUserNames(), name)) {
+                throw new Errors.NotFoundError(`User not found: ${name}`);
+            }
+        }
+        if (password === undefined) {
+            password = await this.prompter.promptForPassword('Password:', undefined, 'password');
+        }
+        await this.savePassword(password, name);
+    }
+
+    /**
+     * Return diagnostic results along with state of services
+     *
+     * @return {Object}
+     */
+    async getStatus() {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        var results = [];
+        var env = this.loadEnvironment();
+        this.diagnoseEngine(results);
+        var dockerAccessible = await this.isDockerAccessible();
+        if (dockerAccessible) {
+            await this.diagnoseContainers(results);
+        } else {
+            results.push({ status: 'fail', message: 'Unable to access Docker' });
+        }
+        this.diagnoseEnvironment(env, results);
+        this.diagnoseFiles(env, results);
+        var counts = _.countBy(results, 'status');
+        return {
+            passed: counts.pass || 0,
+            warnings: counts.warn || 0,
+            failed: counts.fail || 0,
+            results: results,
+            services: (dockerAccessible) ? await this.getServiceStatus(false) : [],
+        };
+    }
+
+    async listServices() {
+        await this.checkDockerAccess();
+        this.checkConfiguration();
+        return await this.getServiceStatus(false);
+    }
+
+    async listImages() {
+        await this.checkDockerAccess();
+        this.checkConfiguration();
+        var images = this.getServiceImages();
+        var list = [];
+        for (var service in images) {
+            var name = images[service];
+            var details = await this.getImageDetails(name);
+            var image = name.replace(/:[^:\/]*$/, '');
+            list.push({
+                name: service,
+                image: image,
+                tag: name.substr(image.length + 1) || 'latest',
+                id: (details) ? details.Id : null,
+                digest: (details) ? getImageDigest(details, image) : null,
+                created: (details) ? details.Created : null,
+                size: (details) ? details.Size : null,
+            });
+        }
+        return list;
+    }
+
+    async getStats() {
+        await this.checkDockerAccess();
+        await this.checkRunning();
+        this.checkConfiguration();
+        return await this.getServiceStatus(true);
+    }
+
+    /**
+     * Run "docker stats" on Trambar's containers
+     *
+     * @param  {Object} options
+     */
+    async streamStats(options) {
+        await this.checkDockerAccess();
+        var processes = await this.getProcesses();
+        if (_.isEmpty(processes)) {
+            throw new Errors.NotRunningError;
+        }
+        var names = _.map(processes, 'Names').sort();
+        var args = _.concat('stats', (_.get(options, 'stream', true)) ? [] : '--no-stream', names);
+        this.run(this.getEngine().cli, args);
+    }
+
+    /**
+     * Print logs of all or given services
+     *
+     * @param  {Array<String>} services
+     * @param  {Object} options
+     */
+    async streamLogs(services, options) {
+        options = options || {};
+        await this.checkDockerAccess();
+        await this.checkRunning();
+        this.checkServiceNames(services);
+        if (this.getEngine().name === 'docker-compose') {
+            // the standalone docker-compose has no such options
+            var unsupported = _.filter([ 'since', 'until' ], (name) => options[name]);
+            if (!_.isEmpty(unsupported)) {
+                throw new Errors.UsageError(`Docker Compose V1 doesn't support --${unsupported.join(' or --')}`);
+            }
+        }
+        var args = [ 'logs' ];
+        if (options.follow !== false) {
+            args.push('-f');
+        }
+        _.each([ 'tail', 'since', 'until' ], (name) => {
+            if (options[name]) {
+                args.push(`--${name}`, options[name]);
+            }
+        });
+        args = _.concat(args, services || []);
+        if (options.grep) {
+            var command = this.getEngine().getCommand(this.prefix, args);
+            this.runFiltered(_.first(command), _.tail(command), options.grep);
+        } else {
+            this.runCompose(args);
+        }
+    }
+
+    async getUsers() {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        return this.getUserNames();
+    }
+
+    async addUser(name, password) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        this.checkUserName(name);
+        if (_.includes(this.getUserNames(), name)) {
+            throw new Errors.TrambarError(`User already exists: ${name}`);
+        }
+        if (password === undefined) {
+            password = await this.prompter.promptForPassword('Password:', undefined, 'password');
+        }
+        await this.savePassword(password, name);
+    }
+
+    async removeUser(name) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        this.checkUserName(name);
+        if (!_.includes(this.getUserNames(), name)) {
+            throw new Errors.NotFoundError(`User not found: ${name}`);
+        }
+        if (!await this.prompter.confirm(`Remove user ${name}?`, false)) {
+            throw new Errors.CancelledError;
+        }
+        await this.removePassword(name);
+    }
+
+    /**
+     * Return the build in use and, after a rollback, the tag of the recorded
+     * images
+     *
+     * @return {Object}
+     */
+    async getBuild() {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        var env = this.loadEnvironment();
+        var pinned = _.find(this.loadHistory(), { tag: env.TRAMBAR_BUILD });
+        return {
+            build: (pinned) ? pinned.build : env.TRAMBAR_BUILD,
+            tag: (pinned) ? pinned.tag : null,
+        };
+    }
+
+    async setBuild(tag) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        if (!tag) {
+            throw new Errors.TrambarError('No build specified');
+        }
+        if (!/^[\w][\w\.\-]{0,127}$/.test(tag)) {
+            throw new Errors.TrambarError(`Invalid build: ${tag}`);
+        }
+        var env = this.loadEnvironment();
+        var history = this.loadHistory();
+        var pinned = _.find(history, { tag: env.TRAMBAR_BUILD });
+        if (tag === env.TRAMBAR_BUILD) {
+            this.log(`Build ${tag} is already in use`);
+            return;
+        }
+        await this.checkDockerAccess();
+        var images = _.uniq(_.map(this.getServiceImages(), (name) => {
+            return name.replace(/:[^:\/]*$/, '') + `:${tag}`;
+        }));
+        if (_.isEmpty(images)) {
+            throw new Errors.TrambarError('Unable to obtain list of images from docker-compose.yml');
+        }
+        var remote = true;
+        var missing = [];
+        for (var image of images) {
+            if (await this.isImageAvailable(image)) {
+                continue;
+            }
+            // see if the image is in the local cache when the registry isn't reachable
+            if (await this.getImageDetails(image)) {
+                remote = false;
+                continue;
+            }
+            missing.push(image);
+        }
+        if (!_.isEmpty(missing)) {
+            throw new Errors.NotFoundError(`Image not found: ${missing.join(', ')}`);
+        }
+        if (!pinned) {
+            await this.recordImages(env, history);
+        }
+        var previous = env.TRAMBAR_BUILD;
+        this.saveEnvironment({ TRAMBAR_BUILD: tag });
+        if (remote) {
+            try {
+                await this.pullImages();
+            } catch (err) {
+                this.log(`Restoring build ${previous}`);
+                this.saveEnvironment({ TRAMBAR_BUILD: previous });
+                throw err;
+            }
+        }
+        if (await this.isDockerAccessible() && await this.isRunning()) {
+            this.createContainers();
+        }
+    }
+
+    /**
+     * Switch to images recorded before an update
+     *
+     * @param  {Number} number - position in history, starting from 1
+     */
+    async rollback(number) {
+        this.checkRootAccess();
+        await this.checkDockerAccess();
+        this.checkConfiguration();
+        var history = this.loadHistory();
+        var entry = history[parseInt(number || 1) - 1];
+        if (!entry) {
+            throw new Errors.NotFoundError(`No recorded images at position ${number || 1}`);
+        }
+        var missing = [];
+        for (var image of entry.images) {
+            var name = `${image.repository}:${entry.tag}`;
+            if (!await this.getImageDetails(name)) {
+                missing.push(name);
+            }
+        }
+        if (!_.isEmpty(missing)) {
+            throw new Errors.NotFoundError(`Image not found: ${missing.join(', ')}`);
+        }
+        this.log(`Rolling back to images recorded on ${Utils.formatDate(new Date(entry.date))} (build ${entry.build})`);
+        _.each(entry.images, (image) => {
+            this.log(`  ${_.padEnd(image.service, 24)} ${image.digest || image.id}`);
+        });
+        if (!await this.prompter.confirm('Continue?', true)) {
+            throw new Errors.CancelledError;
+        }
+        this.saveEnvironment({ TRAMBAR_BUILD: entry.tag });
+        if (await this.isRunning()) {
+            this.createContainers();
+        }
+    }
+
+    /**
+     * Return images recorded before updates, newest first
+     *
+     * @return {Object}
+     */
+    async getHistory() {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        var settings = this.loadSettings();
+        var env = this.loadEnvironment();
+        var entries = _.map(this.loadHistory(), (entry) => {
+            return _.assign({}, entry, { current: (entry.tag === env.TRAMBAR_BUILD) });
+        });
+        return {
+            generations: settings.generations,
+            entries: entries,
+        };
+    }
+
+    async setGenerations(count) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        count = parseInt(count);
+        if (!(count >= 1)) {
+            throw new Errors.TrambarError('Number of generations must be at least 1');
+        }
+        var settings = this.loadSettings();
+        settings.generations = count;
+        this.saveSettings(settings);
+        await this.removeOldGenerations();
+    }
+
+    /**
+     * Return the services making up Trambar and whether each is enabled
+     *
+     * @return {Array<Object>}
+     */
+    async getServiceSettings() {
+        this.checkConfiguration();
+        var flags = Services.getServiceFlags(this.loadSettings().services);
+        var required = _.map(Services.requiredServices, (name) => {
+            return { name, description: '', required: true, enabled: true };
+        });
+        var optional = _.map(Services.optionalServices, (service) => {
+            return {
+                name: service.name,
+                description: service.description,
+                required: false,
+                enabled: flags[service.name],
+            };
+        });
+        return _.concat(required, optional);
+    }
+
+    async enableService(name) {
+        await this.setServiceEnabled(name, true);
+    }
+
+    async disableService(name) {
+        await this.setServiceEnabled(name, false);
+    }
+
+    /**
+     * Turn an optional service on or off, regenerating docker-compose.yml and
+     * bringing a running stack in line with it
+     *
+     * @param  {String} name
+     * @param  {Boolean} enabled
+     */
+    async setServiceEnabled(name, enabled) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        this.checkServiceName(name);
+        if (_.includes(Services.requiredServices, name)) {
+            if (enabled) {
+                this.log(`Service ${name} is always enabled`);
+                return;
+            }
+            throw new Errors.UsageError(`Service ${name} is required and cannot be disabled`);
+        }
+        var settings = this.loadSettings();
+        var config = this.loadConfiguration();
+        if (config.services[name] === enabled) {
+            this.log(`Service ${name} is already ${enabled ? 'enabled' : 'disabled'}`);
+            return;
+        }
+        settings.services = _.assign({}, settings.services, { [name]: enabled });
+        config.services[name] = enabled;
+        await this.applyServiceSettings(settings, config);
+    }
+
+    /**
+     * Return the resource limits of each service
+     *
+     * @return {Array<Object>}
+     */
+    async getResourceLimits() {
+        this.checkConfiguration();
+        var limits = Services.getResourceLimits(this.loadSettings().resources);
+        return _.map(limits, (limit, name) => {
+            return {
+                name: name,
+                memory: limit.memory || null,
+                cpus: limit.cpus || null,
+                replicas: limit.replicas || null,
+            };
+        });
+    }
+
+    /**
+     * Set the memory limit, CPU limit or number of containers of a service
+     *
+     * Limits:
+     *   memory - memory limit, in bytes or with unit b, k, m or g (e.g. 512m)
+     *   cpus - number of CPUs the service can use (e.g. 0.5)
+     *   replicas - number of containers running the service
+     *
+     * @param  {String} name
+     * @param  {Object} limits
+     */
+    async setResourceLimits(name, limits) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        this.checkServiceName(name);
+        limits = _.omitBy(limits, _.isNil);
+        if (_.isEmpty(limits)) {
+            throw new Errors.UsageError('No limits specified (expecting --memory, --cpus or --replicas)');
+        }
+        var settings = this.loadSettings();
+        var config = this.loadConfiguration();
+        var limit = _.assign({}, _.get(settings, [ 'resources', name ]));
+        if (limits.memory !== undefined) {
+            var memory = _.toLower(_.trim(limits.memory));
+            var bytes = Utils.parseSize(memory);
+            if (bytes === null) {
+                throw new Errors.UsageError(`Invalid memory limit: ${limits.memory} (e.g. 512m, 2g)`);
+            }
+            if (bytes < 6 * 1024 * 1024) {
+                // smallest limit Docker accepts
+                throw new Errors.UsageError(`Memory limit must be at least 6m: ${limits.memory}`);
+            }
+            limit.memory = memory;
+        }
+        if (limits.cpus !== undefined) {
+            var cpus = parseFloat(limits.cpus);
+            if (!/^\d+(\.\d+)?$/.test(_.trim(limits.cpus)) || !(cpus > 0)) {
+                throw new Errors.UsageError(`Invalid number of CPUs: ${limits.cpus}`);
+            }
+            limit.cpus = cpus;
+        }
+        if (limits.replicas !== undefined) {
+            var replicas = parseInt(limits.replicas);
+            if (!/^\d+$/.test(_.trim(limits.replicas)) || !(replicas >= 1)) {
+                throw new Errors.UsageError(`Invalid number of replicas: ${limits.replicas}`);
+            }
+            if (replicas > 1 && !_.includes(Services.scalableServices, name)) {
+                throw new Errors.UsageError(`Service ${name} cannot have more than one replica (services that can: ${Services.scalableServices.join(', ')})`);
+            }
+            limit.replicas = replicas;
+        }
+        settings.resources = _.assign({}, settings.resources, { [name]: limit });
+        config.resources = Services.getResourceLimits(settings.resources);
+        this.checkResourceLimits(config.resources);
+        await this.applyServiceSettings(settings, config);
+    }
+
+    /**
+     * Remove the resource limits of a service
+     *
+     * @param  {String} name
+     */
+    async resetResourceLimits(name) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        this.checkServiceName(name);
+        var settings = this.loadSettings();
+        if (!_.has(settings.resources, name)) {
+            this.log(`Service ${name} has no resource limits`);
+            return;
+        }
+        settings.resources = _.omit(settings.resources, name);
+        var config = this.loadConfiguration();
+        config.resources = Services.getResourceLimits(settings.resources);
+        await this.applyServiceSettings(settings, config);
+    }
+
+    /**
+     * Make sure limits fit the host, warning when their total exceeds what
+     * the host has
+     *
+     * @param  {Object} resources
+     */
+    checkResourceLimits(resources) {
+        var totalMemory = OS.totalmem();
+        var cpuCount = _.size(OS.cpus());
+        var memoryNeeded = 0;
+        var cpusNeeded = 0;
+        _.each(resources, (limit, name) => {
+            var bytes = Utils.parseSize(limit.memory);
+            if (bytes > totalMemory) {
+                throw new Errors.TrambarError(`Memory limit of ${name} (${limit.memory}) exceeds host memory (${Utils.formatSize(totalMemory)})`);
+            }
+            if (limit.cpus > cpuCount) {
+                throw new Errors.TrambarError(`CPU limit of ${name} (${limit.cpus}) exceeds number of CPUs on host (${cpuCount})`);
+            }
+            var count = limit.replicas || 1;
+            memoryNeeded += bytes * count;
+            cpusNeeded += (limit.cpus || 0) * count;
+        });
+        if (memoryNeeded > totalMemory) {
+            this.log(`Warning: memory limits add up to ${Utils.formatSize(memoryNeeded)}, more than host memory (${Utils.formatSize(totalMemory)})`);
+        }
+        if (cpusNeeded > cpuCount) {
+            this.log(`Warning: CPU limits add up to ${cpusNeeded}, more than the number of CPUs on host (${cpuCount})`);
+        }
+    }
+
+    /**
+     * Save settings, regenerate docker-compose.yml from them and bring a
+     * running stack in line with it
+     *
+     * Changes to docker-compose.yml are shown and have to be confirmed, as
+     * edits made to it by hand are lost.
+     *
+     * @param  {Object} settings
+     * @param  {Object} config
+     */
+    async applyServiceSettings(settings, config) {
+        var path = `${this.configFolder}/docker-compose.yml`;
+        var before = (FS.existsSync(path)) ? FS.readFileSync(path, 'utf-8') : '';
+        var after = this.renderConfigFile('docker-compose.yml', config);
+        var diff = Utils.maskSecrets(Utils.getTextDiff(before, after));
+        if (!_.isEmpty(diff)) {
+            this.log('');
+            this.log(`--- ${path}`);
+            this.log(`+++ ${path}`);
+            this.log(diff.join('\n'));
+            this.log('');
+            if (this.dryRun) {
+                return;
+            }
+            if (!await this.prompter.confirm('Save changes?', true)) {
+                throw new Errors.CancelledError;
+            }
+            this.saveFile(path, after);
+        }
+        this.saveSettings(settings);
+        if (await this.isDockerAccessible() && await this.isRunning()) {
+            // containers of disabled services are orphans now
+            this.runCompose([ 'up', '-d', '--remove-orphans' ]);
+        }
+    }
+
+    /**
+     * Return the nginx config snippets in the extra folder
+     *
+     * @return {Array<Object>}
+     */
+    async getSnippets() {
+        this.checkConfiguration();
+        var folder = this.getExtraFolder();
+        if (!FS.existsSync(folder)) {
+            return [];
+        }
+        var names = _.filter(FS.readdirSync(folder), (name) => /\.conf$/.test(name));
+        return _.map(names.sort(), (name) => {
+            var path = `${folder}/${name}`;
+            var m = /^# trambar snippet: ([\w-]+)/.exec(FS.readFileSync(path, 'utf-8'));
+            return {
+                name: name.replace(/\.conf$/, ''),
+                path: path,
+                template: (m) ? m[1] : null,
+            };
+        });
+    }
+
+    /**
+     * Create an nginx config snippet from one of the templates, then check
+     * the configuration and reload nginx if Trambar is running
+     *
+     * @param  {String} template
+     * @param  {String|undefined} name - name of snippet (default: template name)
+     */
+    async addSnippet(template, name) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        if (!_.some(snippetTemplates, { name: template })) {
+            var names = _.map(snippetTemplates, 'name');
+            throw new Errors.UsageError(`Unknown template: ${template || ''}\nValid templates: ${names.join(', ')}`);
+        }
+        name = name || template;
+        if (!/^[\w-]+$/.test(name)) {
+            throw new Errors.UsageError(`Invalid snippet name: ${name}`);
+        }
+        var path = `${this.getExtraFolder()}/${name}.conf`;
+        var before = null;
+        if (FS.existsSync(path)) {
+            if (!await this.prompter.confirm(`Overwrite ${path}?`, false)) {
+                throw new Errors.CancelledError;
+            }
+            before = FS.readFileSync(path, 'utf-8');
+        }
+        var params = await this.promptForSnippet(template, name);
+        this.saveFile(path, this.renderConfigFile(`nginx/${template}.conf`, params));
+        await this.reloadNginx(path, before);
+    }
+
+    /**
+     * Remove an nginx config snippet, then check the configuration and reload
+     * nginx if Trambar is running
+     *
+     * @param  {String} name
+     */
+    async removeSnippet(name) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        if (!name) {
+            throw new Errors.UsageError('No snippet name specified');
+        }
+        var path = `${this.getExtraFolder()}/${name}.conf`;
+        if (!/^[\w-]+$/.test(name) || !FS.existsSync(path)) {
+            throw new Errors.NotFoundError(`Snippet not found: ${name}`);
+        }
+        var before = FS.readFileSync(path, 'utf-8');
+        this.removeFile(path);
+        await this.reloadNginx(path, before);
+    }
+
+    /**
+     * Return configuration for a reverse proxy in front of Trambar
+     *
+     * @param  {String} type - nginx, caddy or traefik
+     *
+     * @return {String}
+     */
+    async getProxyConfig(type) {
+        this.checkConfiguration();
+        var template = _.find(proxyTemplates, { name: _.toLower(type) });
+        if (!template) {
+            var names = _.map(proxyTemplates, 'name');
+            throw new Errors.UsageError(`Unknown proxy: ${type || ''}\nValid proxies: ${names.join(', ')}`);
+        }
+        var config = this.loadConfiguration();
+        if (!config.proxy) {
+            throw new Errors.TrambarError('Trambar is not configured to run behind a reverse proxy');
+        }
+        // a proxy can't connect to the wildcard address
+        var address = (/^(0\.0\.0\.0|\[::\])$/.test(config.bind_address)) ? '127.0.0.1' : config.bind_address;
+        var params = {
+            server_name: config.server_name,
+            upstream: `${address}:${config.http_port}`,
+        };
+        return this.renderConfigFile(`proxy/${template.file}`, params);
+    }
+
+    /**
+     * Save configuration for a reverse proxy in front of Trambar
+     *
+     * @param  {String} type - nginx, caddy or traefik
+     * @param  {String} path
+     */
+    async saveProxyConfig(type, path) {
+        var text = await this.getProxyConfig(type);
+        this.saveFile(Path.resolve(path), text);
+    }
+
+    /**
+     * Remove Trambar from the system, after listing what will be removed and
+     * asking for confirmation of each category
+     *
+     * Options:
+     *   purge - remove configuration, backups, database and media files too
+     *   keepData - leave database and media files in place when purging
+     *
+     * @param  {Object} options
+     *
+     * @return {Array<Object>} - categories removed
+     */
+    async uninstall(options) {
+        this.checkRootAccess();
+        await this.checkDockerAccess();
+        var plan = await this.getUninstallPlan(options);
+        if (_.isEmpty(plan)) {
+            this.log('Nothing to remove');
+            return [];
+        }
+        this.log('The following will be removed:');
+        _.each(plan, (category) => {
+            this.log(`  ${category.title}:`);
+            _.each(category.items, (item) => {
+                this.log(`    ${item}`);
+            });
+        });
+        this.log('');
+        if (_.some(plan, 'purge')) {
+            var answer = await this.prompter.promptForText(`Type "${this.prefix}" to confirm removal of data:`, undefined, 'purge_confirmation');
+            if (answer !== this.prefix) {
+                throw new Errors.CancelledError;
+            }
+        }
+        var removed = [];
+        for (var category of plan) {
+            if (!await this.prompter.confirm(`Remove ${_.lowerFirst(category.title)}?`, true)) {
+                continue;
+            }
+            if (this.dryRun) {
+                this.log(`Would remove ${_.lowerFirst(category.title)}`);
+            } else {
+                await category.remove();
+            }
+            removed.push(category);
+        }
+        return removed;
+    }
+
+    /**
+     * Create and enable a systemd unit that brings up Trambar when the
+     * system boots
+     */
+    async installUnit() {
+        this.checkRootAccess();
+        if (!this.dryRun) {
+            // install --dry-run doesn't write the configuration
+            this.checkConfiguration();
+        }
+        this.checkSystemd();
+        var engine = this.getEngine();
+        var command = engine.getCommand(this.prefix, []);
+        // systemd wants an absolute path
+        var program = Utils.findExecutable(_.first(command)) || _.first(command);
+        var config = {
+            prefix: this.prefix,
+            config_folder: Path.resolve(this.configFolder),
+            compose: _.concat(program, _.tail(command)).join(' '),
+            daemon: (engine.cli === 'podman') ? 'podman.socket' : 'docker.service',
+        };
+        var path = this.getUnitPath();
+        var unit = this.getUnitName();
+        this.saveFile(path, this.renderConfigFile('systemd.service', config));
+        this.run('systemctl', [ 'daemon-reload' ]);
+        this.run('systemctl', [ 'enable', unit ]);
+        if (await this.isDockerAccessible() && await this.isRunning()) {
+            // let systemd know the containers are up, so stopping the unit
+            // takes them down
+            this.run('systemctl', [ 'start', unit ]);
+        }
+    }
+
+    /**
+     * Disable and remove the systemd unit, leaving the containers alone
+     */
+    async uninstallUnit() {
+        this.checkRootAccess();
+        var path = this.getUnitPath();
+        var unit = this.getUnitName();
+        if (!FS.existsSync(path)) {
+            throw new Errors.NotFoundError(`Systemd unit ${unit} is not installed`);
+        }
+        this.run('systemctl', [ 'disable', unit ]);
+        this.removeFile(path);
+        this.run('systemctl', [ 'daemon-reload' ]);
+    }
+
+    /**
+     * Return information about the systemd unit
+     *
+     * @return {Object}
+     */
+    async getUnitStatus() {
+        var path = this.getUnitPath();
+        var unit = this.getUnitName();
+        var installed = FS.existsSync(path);
+        return {
+            unit: unit,
+            path: path,
+            installed: installed,
+            enabled: (installed) ? this.querySystemd('is-enabled', unit) === 'enabled' : false,
+            active: (installed) ? this.isUnitActive() : false,
+        };
+    }
+
+    /**
+     * Back up database and media files into a tar archive
+     *
+     * @param  {String|undefined} folder
+     * @param  {Object} options
+     *
+     * @return {String} - path of archive
+     */
+    async backup(folder, options) {
+        options = options || {};
+        this.checkRootAccess();
+        this.checkDryRun('backup');
+        await this.checkDockerAccess();
+        this.checkConfiguration();
+        folder = Path.resolve(folder || Defaults.backupFolder);
+        var name = `${this.prefix}-${Utils.getTimestamp(new Date)}`;
+        var stagingFolder = `${folder}/.${name}`;
+        var archivePath = `${folder}/${name}.tar`;
+        try {
+            var env = this.loadEnvironment();
+            // the archive holds the whole database, password hashes included,
+            // so only root gets to read it
+            FS.mkdirpSync(stagingFolder, 0o700);
+            await this.dumpDatabase(env, `${stagingFolder}/database.dump`);
+            this.archiveMedia(env, `${stagingFolder}/media.tar.gz`);
+            var manifest = {
+                prefix: this.prefix,
+                build: env.TRAMBAR_BUILD,
+                version: Utils.getVersion(),
+                created: (new Date).toISOString(),
+                media: (env.TRAMBAR_MEDIA_FOLDER) ? 'folder' : 'volume',
+                files: _.map([ 'database.dump', 'media.tar.gz' ], (name) => {
+                    var path = `${stagingFolder}/${name}`;
+                    return {
+                        name: name,
+                        size: FS.statSync(path).size,
+                        sha256: Utils.getFileChecksum(path),
+                    };
+                }),
+            };
+            var json = JSON.stringify(manifest, undefined, 2);
+            FS.writeFileSync(`${stagingFolder}/manifest.json`, json);
+            var args = [ '-cf', archivePath, '-C', stagingFolder, 'manifest.json', 'database.dump', 'media.tar.gz' ];
+            this.run('tar', args);
+            FS.chmodSync(archivePath, 0o600);
+            this.log(`Saved ${archivePath}`);
+        } finally {
+            Utils.removeFolder(stagingFolder);
+        }
+        if (options.keepDaily || options.keepWeekly) {
+            this.pruneBackups(folder, options.keepDaily, options.keepWeekly);
+        }
+        return archivePath;
+    }
+
+    /**
+     * Restore database and media files from a backup archive
+     *
+     * @param  {String} archivePath
+     * @param  {Object} options
+     *
+     * @return {Object} - manifest of backup
+     */
+    async restore(archivePath, options) {
+        options = options || {};
+        this.checkRootAccess();
+        this.checkDryRun('restore');
+        await this.checkDockerAccess();
+        this.checkConfiguration();
+        if (!archivePath) {
+            throw new Errors.TrambarError('No backup archive specified');
+        }
+        archivePath = Path.resolve(archivePath);
+        this.checkFileExistence(archivePath);
+        var stagingFolder;
+        try {
+            var env = this.loadEnvironment();
+            stagingFolder = FS.mkdtempSync(`${Path.dirname(archivePath)}/.restore-`);
+            this.run('tar', [ '-xf', archivePath, '-C', stagingFolder ]);
+            var manifest = this.loadBackupManifest(stagingFolder);
+            if (manifest.build !== env.TRAMBAR_BUILD) {
+                var message = `Backup was made with build "${manifest.build}" but build "${env.TRAMBAR_BUILD}" is configured`;
+                if (!options.force) {
+                    throw new Errors.TrambarError(message);
+                }
+                this.log(message);
+            }
+            // ask before stopping anything, so saying no leaves Trambar as
+            // it was
+            var running = await this.isRunning();
+            await this.confirmDatabaseOverwrite(env, running, options.force);
+            if (running) {
+                this.destroyContainers();
+            }
+            try {
+                await this.restoreDatabase(env, `${stagingFolder}/database.dump`);
+                this.restoreMedia(env, `${stagingFolder}/media.tar.gz`);
+            } catch (err) {
+                if (running) {
+                    try {
+                        this.createContainers();
+                    } catch (restartErr) {
+                        this.log(`Unable to restart Trambar: ${restartErr.message}`);
+                    }
+                }
+                throw err;
+            }
+            this.createContainers();
+            return manifest;
+        } finally {
+            if (stagingFolder) {
+                Utils.removeFolder(stagingFolder);
+            }
+        }
+    }
+
+    /**
+     * Give the database roles new passwords, updating .env and recreating
+     * containers that use them
+     */
+    async rotateSecrets() {
+        this.checkRootAccess();
+        await this.checkDockerAccess();
+        this.checkConfiguration();
+        var env = this.loadEnvironment();
+        var roles = databaseRoles;
+        var before = _.pick(env, _.values(roles));
+        if (_.size(before) !== _.size(roles)) {
+            throw new Errors.TrambarError('Database passwords are missing from .env');
+        }
+        var after = _.mapValues(before, generatePassword);
+        var running = await this.isRunning();
+        if (!running) {
+            this.runCompose([ 'up', '-d', 'postgres' ]);
+        }
+        var altered = false, saved = false;
+        try {
+            await this.waitForDatabase();
+            this.log('Changing passwords of database roles');
+            this.setRolePasswords(env, _.mapValues(roles, (name) => after[name]));
+            altered = true;
+            this.saveEnvironment(after);
+            saved = true;
+            if (running) {
+                this.createContainers();
+            }
+        } catch (err) {
+            // put everything back so .env and the database agree
+            this.log(`Rolling back: ${err.message}`);
+            try {
+                if (altered) {
+                    this.setRolePasswords(env, _.mapValues(roles, (name) => before[name]));
+                }
+                if (saved) {
+                    this.saveEnvironment(before);
+                    if (running) {
+                        this.createContainers();
+                    }
+                }
+            } catch (rollbackErr) {
+                this.log(`Unable to roll back: ${rollbackErr.message}`);
+            }
+            throw err;
+        } finally {
+            if (!running) {
+                this.runCompose([ 'rm', '-s', '-f', 'postgres' ]);
+            }
+        }
+    }
+
+    /**
+     * Ask the installation questions again and save the changes
+     *
+     * @param  {Object} options
+     */
+    async reconfigure(options) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        var config = this.loadConfiguration();
+        var serverName = config.server_name;
+        await this.promptForConfiguration(config);
+        var files = [
+            { path: `${this.configFolder}/docker-compose.yml`, name: 'docker-compose.yml' },
+            { path: `${this.configFolder}/.env`, name: 'env', mode: 0o600 },
+        ];
+        if (config.proxy) {
+            var addresses = parseAddressList(config.trusted_proxies, true);
+            files.push({
+                path: `${this.getExtraFolder()}/real-ip.conf`,
+                name: 'nginx/real-ip.conf',
+                params: { rules: getRealIPRules(addresses) },
+            });
+        }
+        var changed = false;
+        _.each(files, (file) => {
+            var before = (FS.existsSync(file.path)) ? FS.readFileSync(file.path, 'utf-8') : '';
+            var after = this.renderConfigFile(file.name, file.params || config);
+            var diff = Utils.maskSecrets(Utils.getTextDiff(before, after));
+            if (!_.isEmpty(diff)) {
+                this.log('');
+                this.log(`--- ${file.path}`);
+                this.log(`+++ ${file.path}`);
+                this.log(diff.join('\n'));
+                file.text = after;
+                changed = true;
+            }
+        });
+        if (!changed) {
+            this.log('Configuration is unchanged');
+            return;
+        }
+        this.log('');
+        if (this.dryRun) {
+            return;
+        }
+        if (!await this.prompter.confirm('Save changes?', true)) {
+            throw new Errors.CancelledError;
+        }
+        if (config.snakeoil) {
+            var regenerate = false;
+            if (!FS.existsSync(config.cert_path) || !FS.existsSync(config.key_path)) {
+                regenerate = true;
+            } else if (config.server_name !== serverName) {
+                // the old certificate is for a different name
+                regenerate = await this.prompter.confirm(`Replace ${config.cert_path} with a certificate for ${config.server_name}?`, true);
+            }
+            if (regenerate) {
+                this.generateCertificate(config.cert_path, config.key_path, config.server_name, _.get(options, 'days'));
+            }
+        }
+        _.each(files, (file) => {
+            if (file.text !== undefined) {
+                this.saveFile(file.path, file.text, file.mode);
+            }
+        });
+        if (await this.isDockerAccessible() && await this.isRunning()) {
+            this.createContainers();
+        }
+    }
+
+    /**
+     * Move database and media files between folders on the host and named
+     * volumes, switching the configuration over
+     *
+     * @param  {String} to - "volumes" or "folders"
+     */
+    async migrateStorage(to) {
+        this.checkRootAccess();
+        if (to !== 'volumes' && to !== 'folders') {
+            throw new Errors.UsageError(`Invalid storage type: ${to} (expecting volumes or folders)`);
+        }
+        await this.checkDockerAccess();
+        this.checkConfiguration();
+        var config = this.loadConfiguration();
+        var env = this.loadEnvironment();
+        var volumes = (to === 'volumes');
+        if (config.volumes === volumes) {
+            throw new Errors.TrambarError(`Storage is already using ${to}`);
+        }
+        var stores = [
+            { name: 'database', path: '/var/lib/postgresql/data', label: 'Z' },
+            { name: 'media', path: '/var/cache/media', label: 'z' },
+        ];
+        _.each(stores, (store) => {
+            var volume = `${this.prefix}_${store.name}`;
+            var folder = Path.resolve(this.configFolder, config[`${store.name}_folder`]);
+            if (volumes) {
+                store.source = { mount: folder, description: folder };
+                store.target = { mount: volume, description: `volume ${volume}` };
+            } else {
+                var answer = this.prompter.getAnswer(`${store.name}_folder`);
+                if (answer) {
+                    config[`${store.name}_folder`] = Parsers.parseText(answer);
+                    folder = Path.resolve(this.configFolder, config[`${store.name}_folder`]);
+                }
+                if (FS.existsSync(folder) && !_.isEmpty(FS.readdirSync(folder))) {
+                    throw new Errors.TrambarError(`Folder is not empty: ${folder}`);
+                }
+                store.source = { mount: volume, description: `volume ${volume}` };
+                store.target = { mount: folder, description: folder, folder: true };
+            }
+        });
+        config.volumes = volumes;
+        var files = [
+            { path: `${this.configFolder}/docker-compose.yml`, name: 'docker-compose.yml' },
+            { path: `${this.configFolder}/.env`, name: 'env', mode: 0o600 },
+        ];
+        _.each(files, (file) => {
+            file.before = FS.readFileSync(file.path, 'utf-8');
+            file.after = this.renderConfigFile(file.name, config);
+        });
+        if (!this.dryRun) {
+            // edits made to the files by hand are lost, so show what changes
+            // (a dry run shows it when saving)
+            _.each(files, (file) => {
+                var diff = Utils.maskSecrets(Utils.getTextDiff(file.before, file.after));
+                if (!_.isEmpty(diff)) {
+                    this.log('');
+                    this.log(`--- ${file.path}`);
+                    this.log(`+++ ${file.path}`);
+                    this.log(diff.join('\n'));
+                }
+            });
+            this.log('');
+            if (!await this.prompter.confirm('Save changes?', true)) {
+                throw new Errors.CancelledError;
+            }
+        }
+        var running = await this.isRunning();
+        if (running) {
+            this.destroyContainers();
+        }
+        var saveFiles = (property) => {
+            _.each(files, (file) => {
+                this.saveFile(file.path, file[property], file.mode);
+            });
+        };
+        try {
+            saveFiles('after');
+            if (volumes) {
+                // have Compose create the volumes, so they carry its labels
+                this.runCompose([ 'up', '--no-start' ]);
+            }
+            for (var store of stores) {
+                if (store.target.folder && !this.dryRun) {
+                    FS.mkdirpSync(store.target.mount);
+                }
+                this.log(`Copying ${store.source.description} to ${store.target.description}`);
+                this.copyStorage(env, store);
+                if (this.dryRun) {
+                    continue;
+                }
+                var before = this.measureStorage(env, store, store.source);
+                var after = this.measureStorage(env, store, store.target);
+                if (before.count !== after.count || before.size !== after.size) {
+                    throw new Errors.TrambarError(`Copy of ${store.source.description} is incomplete: ${after.count} of ${before.count} files, ${after.size} of ${before.size} bytes`);
+                }
+                this.log(`Copied ${after.count} files (${after.size} bytes)`);
+            }
+        } catch (err) {
+            this.log(`Restoring configuration: ${err.message}`);
+            if (volumes) {
+                this.runCompose([ 'rm', '-f' ]);
+            }
+            saveFiles('before');
+            if (running) {
+                this.createContainers();
+            }
+            throw err;
+        }
+        if (running) {
+            this.createContainers();
+        }
+        _.each(stores, (store) => {
+            this.log(`Files in ${store.source.description} can be removed once Trambar is confirmed to be working`);
+        });
+    }
+
+    /**
+     * Return information about the SSL certificate in use
+     *
+     * @return {Object}
+     */
+    async getCertificate() {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        var paths = this.getCertificatePaths();
+        if (!paths.cert) {
+            throw new Errors.TrambarError('SSL is not enabled');
+        }
+        this.checkFileExistence(paths.cert);
+        var info = getCertificateInfo(paths.cert);
+        if (!info) {
+            throw new Errors.TrambarError(`Unable to read certificate: ${paths.cert}`);
+        }
+        return _.assign({ path: paths.cert }, info);
+    }
+
+    async createCertificate(options) {
+        return this.replaceCertificate(false, options);
+    }
+
+    async renewCertificate(options) {
+        return this.replaceCertificate(true, options);
+    }
+
+    async replaceCertificate(renew, options) {
+        this.checkRootAccess();
+        this.checkConfiguration();
+        var env = this.loadEnvironment();
+        var paths = this.getCertificatePaths();
+        if (!paths.key) {
+            throw new Errors.TrambarError((paths.cert) ? 'Certificate is managed by Certbot' : 'SSL is not enabled');
+        }
+        if (!renew && FS.existsSync(paths.cert)) {
+            if (!await this.prompter.confirm(`Overwrite ${paths.cert}?`, false)) {
+                throw new Errors.CancelledError;
+            }
+        }
+        var domain = env.TRAMBAR_SSL_DOMAIN || OS.hostname();
+        this.generateCertificate(paths.cert, paths.key, domain, _.get(options, 'days'));
+        if (await this.isDockerAccessible() && await this.isRunning()) {
+            this.runCompose([ 'exec', '-T', 'nginx', 'nginx', '-s', 'reload' ]);
+        }
+    }
+
+    getCertificatePaths() {
+        var env = this.loadEnvironment();
+        var paths = {};
+        if (env.TRAMBAR_SSL_CERT && env.TRAMBAR_SSL_KEY) {
+            paths.cert = Path.resolve(this.configFolder, env.TRAMBAR_SSL_CERT);
+            paths.key = Path.resolve(this.configFolder, env.TRAMBAR_SSL_KEY);
+        } else if (env.TRAMBAR_SSL_EMAIL && env.TRAMBAR_SSL_FOLDER) {
+            var sslFolder = Path.resolve(this.configFolder, env.TRAMBAR_SSL_FOLDER);
+            paths.cert = `${sslFolder}/live/${env.TRAMBAR_SSL_DOMAIN}/cert.pem`;
+        }
+        return paths;
+    }
+
+    /**
+     * Check that the host is ready to run Trambar with the given configuration
+     *
+     * @param  {Object|undefined} config - configuration (default: the saved one)
+     *
+     * @return {Array<Object>}
+     */
+    async getPreflightResults(config) {
+        config = config || this.loadConfiguration();
+        var results = [];
+        await this.preflightVersions(results);
+        await this.preflightPorts(config, results);
+        await this.preflightDiskSpace(config, results);
+        if (config.certbot) {
+            await this.preflightServerName(config, results);
+        }
+        this.preflightLabels(config, results);
+        return results;
+    }
+
+    async checkPreflight(config) {
+        var results = await this.getPreflightResults(config);
+        this.log('Preflight checks:');
+        _.each(results, (result) => {
+            this.log(`[${_.toUpper(result.status)}] ${result.message}`);
+        });
+        this.log('');
+        if (_.some(results, { status: 'fail' })) {
+            throw new Errors.PreflightError(results);
+        }
+    }
+
+    async preflightVersions(results) {
+        try {
+            var engine = this.getEngine();
+            results.push({ status: 'pass', message: `${engine.title} ${engine.version} is supported` });
+        } catch (err) {
+            results.push({ status: 'fail', message: err.message });
+        }
+        var version = await this.docker.getVersion();
+        var podman = _.some(version.Components, { Name: 'Podman Engine' });
+        var name = (podman) ? 'Podman' : 'Docker';
+        var minimum = (podman) ? Defaults.minimumPodmanVersion : Defaults.minimumDockerVersion;
+        if (Utils.compareVersions(version.Version, minimum) < 0) {
+            results.push({ status: 'fail', message: `${name} ${version.Version} is not supported (${minimum} or later is required)` });
+        } else {
+            results.push({ status: 'pass', message: `${name} ${version.Version} is supported` });
+        }
+    }
+
+    async preflightPorts(config, results) {
+        var ports = _.filter([ config.http_port, (config.ssl) ? config.https_port : null ]);
+        // ports are naturally in use when Trambar is already running
+        var containers = await this.getContainers();
+        var nginx = _.find(containers, (c) => {
+            return c.Config.Labels['com.docker.compose.service'] === 'nginx' && c.State.Running;
+        });
+        var bindings = _.flatten(_.values(_.get(nginx, 'NetworkSettings.Ports')));
+        var held = _.map(_.filter(bindings), (b) => parseInt(b.HostPort));
+        for (var port of ports) {
+            if (_.includes(held, port)) {
+                results.push({ status: 'pass', message: `Port ${port} is used by Trambar's nginx` });
+                continue;
+            }
+            var err = await checkPort(port, (port === config.http_port) ? _.trim(config.bind_address, '[]') : '');
+            if (!err) {
+                results.push({ status: 'pass', message: `Port ${port} is free` });
+            } else if (err.code === 'EADDRINUSE') {
+                results.push({ status: 'fail', message: `Port ${port} is in use by another program` });
+            } else {
+                results.push({ status: 'warn', message: `Unable to check port ${port}: ${err.message}` });
+            }
+        }
+    }
+
+    async preflightDiskSpace(config, results) {
+        var locations = [];
+        if (config.volumes) {
+            var info = await this.docker.getInfo();
+            locations.push({ description: 'Docker data folder', folder: info.DockerRootDir });
+        } else {
+            locations.push({ description: 'Database folder', folder: Path.resolve(this.configFolder, config.database_folder) });
+            locations.push({ description: 'Media folder', folder: Path.resolve(this.configFolder, config.media_folder) });
+        }
+        _.each(locations, (location) => {
+            var folder = getExistingFolder(location.folder);
+            var free = (folder) ? this.getFreeSpace(folder) : null;
+            if (free === null) {
+                results.push({ status: 'warn', message: `Unable to check free space of ${location.folder}` });
+                return;
+            }
+            var message = `${location.description} ${location.folder} has ${Utils.formatSize(free)} free`;
+            if (free < Defaults.minimumFreeSpace) {
+                results.push({ status: 'fail', message: `${message} (at least ${Utils.formatSize(Defaults.minimumFreeSpace)} is required)` });
+            } else if (free < Defaults.recommendedFreeSpace) {
+                results.push({ status: 'warn', message: `${message} (${Utils.formatSize(Defaults.recommendedFreeSpace)} or more is recommended)` });
+            } else {
+                results.push({ status: 'pass', message: message });
+            }
+        });
+    }
+
+    /**
+     * Return number of bytes available in a folder, or null if df fails
+     *
+     * @param  {String} folder
+     *
+     * @return {Number|null}
+     */
+    getFreeSpace(folder) {
+        try {
+            // FS.statfsSync() needs Node.js 18.15
+            var text = this.capture('df', [ '-Pk', folder ], { stdio: [ 'ignore', 'pipe', 'ignore' ] });
+            var fields = _.split(_.trim(_.split(_.trim(text), /\r?\n/)[1]), /\s+/);
+            var available = parseInt(fields[3]);
+            return (available >= 0) ? available * 1024 : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    async preflightServerName(config, results) {
+        var name = config.server_name;
+        var addresses;
+        try {
+            addresses = _.map(await DNS.promises.lookup(name, { all: true }), 'address');
+        } catch (err) {
+            results.push({ status: 'fail', message: `${name} does not resolve to an address (${err.code}), so certbot cannot obtain a certificate` });
+            return;
+        }
+        var hostAddresses = _.map(_.flatten(_.values(OS.networkInterfaces())), 'address');
+        if (!_.isEmpty(_.intersection(addresses, hostAddresses))) {
+            results.push({ status: 'pass', message: `${name} resolves to this host (${addresses.join(', ')})` });
+        } else if (Utils.isPublicServer()) {
+            results.push({ status: 'fail', message: `${name} resolves to ${addresses.join(', ')}, which is not an address of this host` });
+        } else {
+            // the host might be behind a router that forwards traffic to it
+            results.push({ status: 'warn', message: `${name} resolves to ${addresses.join(', ')}; certbot will fail unless traffic to it is forwarded to this host` });
+        }
+    }
+
+    preflightLabels(config, results) {
+        if (isSELinuxEnforcing()) {
+            if (config.volumes) {
+                results.push({ status: 'pass', message: 'SELinux is enforcing, but named volumes need no relabeling' });
+            } else {
+                _.each([ config.database_folder, config.media_folder ], (folder) => {
+                    folder = Path.resolve(this.configFolder, folder);
+                    var type = getFileSystemType(folder);
+                    if (_.includes(systemFolders, folder)) {
+                        results.push({ status: 'fail', message: `SELinux is enforcing and ${folder} cannot be relabeled for use by containers` });
+                    } else if (type && /^(nfs|nfs4|cifs|smb3|vfat|exfat|fuse)/.test(type)) {
+                        results.push({ status: 'fail', message: `SELinux is enforcing and the file system of ${folder} (${type}) cannot hold SELinux labels` });
+                    } else {
+                        results.push({ status: 'pass', message: `SELinux is enforcing and ${folder} can be relabeled` });
+                    }
+                });
+            }
+        } else {
+            results.push({ status: 'pass', message: 'SELinux is not enforcing' });
+        }
+        if (isAppArmorEnabled()) {
+            // AppArmor ignores the :z and :Z options
+            results.push({ status: 'pass', message: 'AppArmor is enabled and does not restrict Trambar\'s mounts' });
+        }
+    }
+
+    diagnoseEngine(results) {
+        try {
+            var engine = this.getEngine();
+            results.push({ status: 'pass', message: `Using ${engine.title} ${engine.version}` });
+        } catch (err) {
+            results.push({ status: 'fail', message: err.message });
+        }
+    }
+
+    async diagnoseContainers(results) {
+        var services;
+        try {
+            services = this.getServices();
+        } catch (err) {
+            services = [];
+        }
+        if (_.isEmpty(services)) {
+            results.push({ status: 'fail', message: 'Unable to obtain list of services from docker-compose.yml' });
+            return;
+        }
+        var containers = await this.getContainers();
+        _.each(services, (service) => {
+            var container = _.find(containers, (c) => {
+                return c.Config.Labels['com.docker.compose.service'] === service;
+            });
+            if (!container) {
+                results.push({ status: 'fail', message: `Service ${service} has no container` });
+            } else if (container.State.Restarting) {
+                results.push({ status: 'fail', message: `Service ${service} is restarting (restarted ${container.RestartCount} times)` });
+            } else if (!container.State.Running) {
+                results.push({ status: 'fail', message: `Service ${service} is ${container.State.Status}` });
+            } else if (container.RestartCount > 0) {
+                results.push({ status: 'warn', message: `Service ${service} is running but has restarted ${container.RestartCount} times` });
+            } else {
+                results.push({ status: 'pass', message: `Service ${service} is running` });
+            }
+        });
+    }
+
+    diagnoseEnvironment(env, results) {
+        var text = FS.readFileSync(`${this.configFolder}/docker-compose.yml`, 'utf-8');
+        var referenced = Utils.getReferencedVariables(text);
+        _.each(referenced, (name) => {
+            if (env[name] === undefined) {
+                results.push({ status: 'fail', message: `Variable ${name} is not defined in .env` });
+            } else if (env[name] === '') {
+                results.push({ status: 'fail', message: `Variable ${name} is empty` });
+            }
+        });
+        _.each(_.difference(_.keys(env), referenced), (name) => {
+            results.push({ status: 'warn', message: `Variable ${name} is not used by docker-compose.yml` });
+        });
+        if (_.every(referenced, (name) => !!env[name])) {
+            results.push({ status: 'pass', message: `All ${referenced.length} variables are defined in .env` });
+        }
+    }
+
+    diagnoseFiles(env, results) {
+        var htpasswdFolder = Path.resolve(this.configFolder, env.TRAMBAR_HTPASSWD_FOLDER || '.');
+        var htpasswdPath = `${htpasswdFolder}/${env.TRAMBAR_HTPASSWD_NAME}`;
+        diagnoseFile(htpasswdPath, 'Password file', results);
+        if (env.TRAMBAR_SSL_CERT) {
+            var certPath = Path.resolve(this.configFolder, env.TRAMBAR_SSL_CERT);
+            if (diagnoseFile(certPath, 'SSL certificate', results)) {
+                diagnoseCertificate(certPath, results);
+            }
+        }
+        if (env.TRAMBAR_SSL_KEY) {
+            var keyPath = Path.resolve(this.configFolder, env.TRAMBAR_SSL_KEY);
+            diagnoseFile(keyPath, 'SSL private key', results);
+        }
+        if (env.TRAMBAR_SSL_EMAIL && env.TRAMBAR_SSL_FOLDER) {
+            // certificate obtained by Certbot
+            var sslFolder = Path.resolve(this.configFolder, env.TRAMBAR_SSL_FOLDER);
+            var certbotPath = `${sslFolder}/live/${env.TRAMBAR_SSL_DOMAIN}/cert.pem`;
+            if (FS.existsSync(certbotPath)) {
+                diagnoseCertificate(certbotPath, results);
+            } else {
+                results.push({ status: 'warn', message: `Certbot has not yet obtained a certificate for ${env.TRAMBAR_SSL_DOMAIN}` });
+            }
+        }
+    }
+
+    /**
+     * Check docker-compose.yml and .env for problems
+     *
+     * @return {Array<Object>}
+     */
+    validateConfiguration() {
+        this.checkConfiguration();
+        var problems = [];
+        var composeText = FS.readFileSync(`${this.configFolder}/docker-compose.yml`, 'utf-8');
+        var envText = FS.readFileSync(`${this.configFolder}/.env`, 'utf-8');
+        try {
+            Yaml.safeLoad(composeText);
+        } catch (err) {
+            problems.push({ status: 'fail', message: `docker-compose.yml: ${err.message}` });
+        }
+        _.each(_.split(envText, /\r?\n/), (line, index) => {
+            if (/\S/.test(line) && !/^\s*#/.test(line) && !/^\s*[A-Za-z_]\w*\s*=/.test(line)) {
+                problems.push({ status: 'fail', message: `.env line ${index + 1} is malformed: ${line}` });
+            }
+        });
+        var env = Utils.parseEnvironment(envText);
+        var templateText = FS.readFileSync(`${__dirname}/templates/env`, 'utf-8');
+        var known = _.keys(Utils.parseEnvironment(_.replace(templateText, /^<%=.*?%>/gm, '')));
+        var referenced = Utils.getReferencedVariables(composeText);
+        _.each(referenced, (name) => {
+            if (!env[name]) {
+                problems.push({ status: 'fail', message: `Variable ${name} is used by docker-compose.yml but is not set in .env` });
+            }
+        });
+        _.each(_.keys(env), (name) => {
+            if (/^TRAMBAR_/.test(name) && !_.includes(known, name) && !_.includes(referenced, name)) {
+                problems.push({ status: 'warn', message: `Unknown variable ${name}` });
+            }
+        });
+        _.each([ 'TRAMBAR_HTTP_PORT', 'TRAMBAR_HTTPS_PORT' ], (name) => {
+            if (env[name] !== undefined) {
+                try {
+                    Parsers.parsePort(env[name]);
+                    if (!/^\d+$/.test(env[name])) {
+                        throw new Error(`Invalid port number: ${env[name]}`);
+                    }
+                } catch (err) {
+                    problems.push({ status: 'fail', message: `${name}: ${err.message}` });
+                }
+            }
+        });
+        if (env.TRAMBAR_HTTP_ADDRESS !== undefined && !Net.isIP(_.trim(env.TRAMBAR_HTTP_ADDRESS, '[]'))) {
+            problems.push({ status: 'fail', message: `TRAMBAR_HTTP_ADDRESS: Invalid address: ${env.TRAMBAR_HTTP_ADDRESS}` });
+        }
+        var engine = this.findEngine();
+        if (_.isEmpty(problems) && engine) {
+            try {
+                this.runCompose([ 'config', '-q' ], { stdio: [ 'ignore', 'ignore', 'pipe' ] });
+            } catch (err) {
+                problems.push({ status: 'fail', message: `${engine.title} config: ${err.message}` });
+            }
+        }
+        return problems;
+    }
+
+    async installDocker() {
+        var usePodman = (this.engineName === 'podman');
+        if (!usePodman && Utils.isInstalled('docker')) {
+            return;
+        }
+        if (Utils.isInstalled('podman') && (usePodman || !this.engineName)) {
+            return;
+        }
+        if (OS.type() === 'Linux') {
+            // Fedora and RHEL ship Podman instead of Docker
+            if (!this.engineName && Utils.isInstalled('dnf')) {
+                usePodman = true;
+            }
+            var commands;
+            if (usePodman) {
+                if (Utils.isInstalled('apt-get')) {
+                    commands = [
+                        [ 'apt-get', '-y', 'install', 'podman' ],
+                    ];
+                } else if (Utils.isInstalled('dnf')) {
+                    commands = [
+                        [ 'dnf', '-y', 'install', 'podman' ],
+                    ];
+                } else if (Utils.isInstalled('pacman')) {
+                    commands = [
+                        [ 'pacman', '--noconfirm', '-S', 'podman' ],
+                    ];
+                }
+                if (commands) {
+                    // the Docker-compatible API is needed for querying containers
+                    commands.push([ 'systemctl', 'enable', '--now', 'podman.socket' ]);
+                }
+            } else if (Utils.isInstalled('apt-get')) {
+                commands = [
+                    [ 'apt-get', '-y', 'install', 'docker.io' ],
+                ];
+            } else if (Utils.isInstalled('pacman')) {
+                commands = [
+                    [ 'pacman', '--noconfirm', '-S', 'docker' ],
+                    [ 'systemctl', 'enable', 'docker' ],
+                    [ 'systemctl', 'start', 'docker' ],
+                ];
+            } else if (Utils.isInstalled('yum')) {
+                commands = [
+                    [ 'yum', '-y', 'install', 'docker' ],
+                    [ 'systemctl', 'enable', 'docker' ],
+                    [ 'systemctl', 'start', 'docker' ],
+                ];
+            } else if (Utils.isInstalled('urpmi')) {
+                commands = [
+                    [ 'urpmi', '--auto', 'docker' ],
+                    [ 'systemctl', 'enable', 'docker' ],
+                    [ 'systemctl', 'start', 'docker' ],
+                ];
+            }
+            if (commands) {
+                var program = (usePodman) ? 'Podman' : 'Docker';
+                if (!await this.prompter.confirm(`${program} is not installed on this system. Do you want to install it?`, true)) {
+                    throw new Errors.CancelledError;
+                }
+                _.each(commands, (command) => {
+                    this.run(_.first(command), _.tail(command));
+                });
+                if (usePodman && !this.engineName) {
+                    this.engineName = 'podman';
+                }
+                // the socket might not have existed when the client was created
+                if (this.docker.socketPath && !FS.existsSync(this.docker.socketPath)) {
+                    this.docker = new DockerClient({ engine: this.engineName });
+                }
+                return;
+            }
+        }
+        var url = (usePodman) ? 'https://podman.io/docs/installation' : 'https://www.docker.com/get-docker';
+        var name = (usePodman) ? 'Podman' : 'Docker';
+        throw new Errors.DockerUnavailableError(`You must install ${name} manually (${url})`);
+    }
+
+    async installDockerCompose() {
+        if (this.findEngine()) {
+            return;
+        }
+        var usePodman = (this.engineName === 'podman') || (!this.engineName && !Utils.isInstalled('docker') && Utils.isInstalled('podman'));
+        if (OS.type() === 'Linux') {
+            var commands;
+            if (usePodman) {
+                if (Utils.isInstalled('apt-get')) {
+                    commands = [
+                        [ 'apt-get', '-y', 'install', 'podman-compose' ],
+                    ];
+                } else if (Utils.isInstalled('dnf')) {
+                    commands = [
+                        [ 'dnf', '-y', 'install', 'podman-compose' ],
+                    ];
+                } else if (Utils.isInstalled('pacman')) {
+                    commands = [
+                        [ 'pacman', '--noconfirm', '-S', 'podman-compose' ],
+                    ];
+                } else if (Utils.isInstalled('pip3')) {
+                    commands = [
+                        [ 'pip3', 'install', 'podman-compose' ],
+                    ];
+                }
+            } else if (Utils.isInstalled('apt-get')) {
+                commands = [
+                    [ 'apt-get', '-y', 'install', 'docker-compose' ],
+                ];
+            } else if (Utils.isInstalled('pacman')) {
+                commands = [
+                    [ 'pacman', '--noconfirm', '-S', 'docker-compose' ],
+                ];
+            } else if (Utils.isInstalled('yum')) {
+                // the plugin comes from Docker's own repository
+                commands = [
+                    [ 'yum', '-y', 'install', 'docker-compose-plugin' ],
+                ];
+            } else if (Utils.isInstalled('urpmi')) {
+                commands = [
+                    [ 'urpmi', '--auto', 'docker-compose' ],
+                ];
+            }
+            if (commands) {
+                var program = (usePodman) ? 'podman-compose' : 'Docker Compose';
+                if (!await this.prompter.confirm(`${program} is not installed on this system. Do you want to install it?`, true)) {
+                    throw new Errors.CancelledError;
+                }
+                _.each(commands, (command) => {
+                    this.run(_.first(command), _.tail(command));
+                });
+                return;
+            }
+        }
+        var url = (usePodman) ? 'https://github.com/containers/podman-compose' : 'https://docs.docker.com/compose/install/';
+        var name = (usePodman) ? 'podman-compose' : 'Docker Compose';
+        throw new Errors.DockerUnavailableError(`You must install ${name} manually (${url})`);
+    }
+
+    /**
+     * Pull images of Trambar's services
+     *
+     * @param  {Object|undefined} config - configuration not yet saved, used
+     *                                     during a dry run of install
+     */
+    async pullImages(config) {
+        var services = (this.dryRun && config) ? this.getTemplateImages(config) : this.getServiceImages();
+        var images = _.uniq(_.values(services));
+        if (_.isEmpty(images)) {
+            throw new Errors.TrambarError('Unable to obtain list of images from docker-compose.yml');
+        }
+        for (var image of images) {
+            if (this.dryRun) {
+                this.log(`Would pull ${image}`);
+                continue;
+            }
+            this.log(`Pulling ${image}`);
+            await this.docker.pullImage(image, (event) => {
+                this.progress(event, image);
+            });
+        }
+    }
+
+    reportProgress(event, image) {
+        // skip the download and extraction updates, which come many times a second
+        if (_.get(event, 'progressDetail.current') !== undefined) {
+            return;
+        }
+        if (event.id && event.id !== _.last(_.split(image, ':'))) {
+            this.log(`  ${event.id}: ${event.status}`);
+        } else {
+            this.log(`  ${event.status}`);
+        }
+    }
+
+    async removeUntaggedImages() {
+        var images = await this.getImages();
+        for (var image of images) {
+            if (image.Tag === '<none>') {
+                // images still used by a container cannot be removed
+                await this.removeImage(image.ID, true);
+            }
+        }
+    }
+
+    async getUninstallPlan(options) {
+        var purge = !!_.get(options, 'purge');
+        var keepData = !!_.get(options, 'keepData');
+        var configured = FS.existsSync(`${this.configFolder}/docker-compose.yml`) && FS.existsSync(`${this.configFolder}/.env`);
+        var env = (configured) ? this.loadEnvironment() : {};
+        var plan = [];
+        var containers = await this.getContainers();
+        if (!_.isEmpty(containers)) {
+            plan.push({
+                title: 'Containers',
+                items: _.map(containers, (c) => _.trimStart(c.Name, '/')),
+                remove: async () => {
+                    if (configured) {
+                        this.destroyContainers();
+                    } else {
+                        for (var c of containers) {
+                            this.log(`Removing container ${_.trimStart(c.Name, '/')}`);
+                            await this.docker.removeContainer(c.Id, { force: true });
+                        }
+                    }
+                },
+            });
+        }
+        if (this.hasUnit()) {
+            plan.push({
+                title: 'Systemd unit',
+                items: [ this.getUnitPath() ],
+                remove: () => this.uninstallUnit(),
+            });
+        }
+        var images = await this.getImages();
+        if (!_.isEmpty(images)) {
+            plan.push({
+                title: 'Images',
+                items: _.map(images, (i) => (i.Tag !== '<none>') ? `${i.Repository}:${i.Tag}` : i.ID),
+                remove: () => this.removeImages(),
+            });
+        }
+        if (!purge) {
+            return plan;
+        }
+        if (!keepData) {
+            var volumes = await this.docker.listVolumes({
+                filters: { label: [ `com.docker.compose.project=${this.prefix}` ] },
+            });
+            if (!_.isEmpty(volumes)) {
+                plan.push({
+                    title: 'Volumes',
+                    items: _.map(volumes, 'Name'),
+                    purge: true,
+                    remove: async () => {
+                        for (var volume of volumes) {
+                            this.log(`Removing volume ${volume.Name}`);
+                            await this.docker.removeVolume(volume.Name);
+                        }
+                    },
+                });
+            }
+            var dataFolders = _.filter(_.map([ env.TRAMBAR_DATABASE_FOLDER, env.TRAMBAR_MEDIA_FOLDER ], (folder) => {
+                return (folder) ? Path.resolve(this.configFolder, folder) : null;
+            }), (folder) => folder && FS.existsSync(folder));
+            if (!_.isEmpty(dataFolders)) {
+                plan.push({
+                    title: 'Database and media folders',
+                    items: dataFolders,
+                    purge: true,
+                    remove: () => this.removeFolders(dataFolders),
+                });
+            }
+        }
+        var backups = (FS.existsSync(Defaults.backupFolder)) ? this.getBackups(Defaults.backupFolder) : [];
+        if (!_.isEmpty(backups)) {
+            plan.push({
+                title: 'Backups',
+                items: _.map(backups, 'path'),
+                purge: true,
+                remove: () => {
+                    _.each(backups, (backup) => {
+                        this.log(`Removing ${backup.path}`);
+                        FS.unlinkSync(backup.path);
+                    });
+                },
+            });
+        }
+        if (FS.existsSync(this.configFolder)) {
+            plan.push({
+                title: 'Configuration folder',
+                items: [ this.configFolder ],
+                purge: true,
+                remove: () => this.removeFolders([ this.configFolder ]),
+            });
+        }
+        return plan;
+    }
+
+    removeFolders(folders) {
+        _.each(folders, (folder) => {
+            this.log(`Removing ${folder}`);
+            Utils.removeFolder(folder);
+        });
+    }
+
+    async removeImages() {
+        var images = await this.getImages();
+        for (var image of images) {
+            // remove by name, since an image can have multiple tags
+            var name = (image.Tag !== '<none>') ? `${image.Repository}:${image.Tag}` : image.ID;
+            await this.removeImage(name);
+        }
+    }
+
+    async recordImages(env, history) {
+        var serviceImages = this.getServiceImages();
+        var tag = `${this.prefix}-${Utils.getTimestamp(new Date)}`;
+        var images = [];
+        for (var service in serviceImages) {
+            var name = serviceImages[service];
+            var details = await this.getImageDetails(name);
+            if (details) {
+                var repository = name.replace(/:[^:\/]*$/, '');
+                images.push({
+                    service: service,
+                    repository: repository,
+                    id: details.Id,
+                    digest: _.find(details.RepoDigests, (digest) => {
+                        return _.startsWith(digest, `${repository}@`);
+                    }),
+                });
+            }
+        }
+        if (_.isEmpty(images)) {
+            // nothing has been pulled yet
+            return;
+        }
+        // tag the images so they aren't removed after new ones are pulled
+        this.log(`Recording current images as ${tag}`);
+        for (var image of _.uniqBy(images, 'repository')) {
+            if (this.dryRun) {
+                this.log(`Would tag ${image.repository} as ${image.repository}:${tag}`);
+            } else {
+                await this.docker.tagImage(image.id, image.repository, tag);
+            }
+        }
+        history.unshift({
+            tag: tag,
+            build: env.TRAMBAR_BUILD,
+            date: (new Date).toISOString(),
+            images: images,
+        });
+        this.saveHistory(history);
+    }
+
+    async removeOldGenerations() {
+        var settings = this.loadSettings();
+        var env = this.loadEnvironment();
+        var history = this.loadHistory();
+        var kept = [];
+        var removed = [];
+        _.each(history, (entry) => {
+            if (kept.length < settings.generations || entry.tag === env.TRAMBAR_BUILD) {
+                kept.push(entry);
+            } else {
+                removed.push(entry);
+            }
+        });
+        if (_.isEmpty(removed)) {
+            return;
+        }
+        for (var entry of removed) {
+            this.log(`Removing images recorded as ${entry.tag}`);
+            for (var repository of _.uniq(_.map(entry.images, 'repository'))) {
+                await this.removeImage(`${repository}:${entry.tag}`, true);
+            }
+        }
+        this.saveHistory(kept);
+    }
+
+    loadHistory() {
+        var path = `${this.configFolder}/history.json`;
+        if (!FS.existsSync(path)) {
+            return [];
+        }
+        return JSON.parse(FS.readFileSync(path, 'utf-8'));
+    }
+
+    saveHistory(history) {
+        var path = `${this.configFolder}/history.json`;
+        this.saveFile(path, JSON.stringify(history, undefined, 2) + '\n');
+    }
+
+    createContainers(services) {
+        this.runCompose(_.concat([ 'up', '-d' ], services || []));
+    }
+
+    destroyContainers() {
+        this.runCompose([ 'down' ]);
+    }
+
+    restartContainers(services) {
+        this.runCompose(_.concat([ 'restart' ], services || []));
+    }
+
+    stopContainers(services) {
+        this.runCompose(_.concat([ 'stop' ], services || []));
+    }
+
+    checkServiceNames(names) {
+        if (_.isEmpty(names)) {
+            return;
+        }
+        var services = this.getServices();
+        var unknown = _.difference(names, services);
+        if (!_.isEmpty(unknown)) {
+            var list = _.map(unknown, (name) => `Unknown service: ${name}`);
+            list.push(`Valid services: ${services.join(', ')}`);
+            throw new Errors.UsageError(list.join('\n'));
+        }
+    }
+
+    /**
+     * Check the configuration of the running nginx and have it reload its
+     * config files, putting a snippet back the way it was if the check fails
+     *
+     * @param  {String} path - snippet that was changed
+     * @param  {String|null} before - its previous content
+     */
+    async reloadNginx(path, before) {
+        if (!await this.isDockerAccessible() || !await this.isRunning()) {
+            this.log('Changes will take effect when Trambar starts');
+            return;
+        }
+        var testArgs = [ 'exec', '-T', 'nginx', 'nginx', '-t' ];
+        var reloadArgs = [ 'exec', '-T', 'nginx', 'nginx', '-s', 'reload' ];
+        if (this.dryRun) {
+            this.runCompose(testArgs);
+            this.runCompose(reloadArgs);
+            return;
+        }
+        try {
+            this.captureCompose(testArgs, { stdio: [ 'ignore', 'pipe', 'pipe' ] });
+        } catch (err) {
+            if (before !== null) {
+                this.saveFile(path, before);
+            } else {
+                this.removeFile(path);
+            }
+            throw new Errors.TrambarError(`Nginx rejected the configuration: ${err.message}`);
+        }
+        // workers are replaced gracefully, without dropping connections
+        this.runCompose(reloadArgs);
+    }
+
+    checkServiceName(name) {
+        if (!name) {
+            throw new Errors.UsageError('No service name specified');
+        }
+        var names = Services.getServiceNames();
+        if (!_.includes(names, name)) {
+            throw new Errors.UsageError(`Unknown service: ${name}\nValid services: ${names.join(', ')}`);
+        }
+    }
+
+    checkUserName(name) {
+        if (!name) {
+            throw new Errors.TrambarError('No user name specified');
+        }
+        if (!/^[^:\s#]+$/.test(name)) {
+            throw new Errors.TrambarError(`Invalid user name: ${name}`);
+        }
+    }
+
+    async dumpDatabase(env, path) {
+        // start the database manager by itself if Trambar isn't running
+        var running = await this.isRunning();
+        if (!running) {
+            this.runCompose([ 'up', '-d', 'postgres' ]);
+        }
+        try {
+            await this.waitForDatabase();
+            this.log(`Dumping database ${env.TRAMBAR_DATABASE_NAME}`);
+            var fd = FS.openSync(path, 'w', 0o600);
+            try {
+                var args = [ 'exec', '-T', 'postgres', 'pg_dump', '-U', 'root', '-Fc', env.TRAMBAR_DATABASE_NAME ];
+                this.runCompose(args, { stdio: [ 'ignore', fd, 'inherit' ] });
+            } finally {
+                FS.closeSync(fd);
+            }
+        } finally {
+            if (!running) {
+                this.runCompose([ 'rm', '-s', '-f', 'postgres' ]);
+            }
+        }
+    }
+
+    async waitForDatabase() {
+        var args = [ 'exec', '-T', 'postgres', 'pg_isready', '-U', 'root' ];
+        var options = {
+            stdio: [ 'ignore', 'ignore', 'ignore' ]
+        };
+        for (var attempt = 0; attempt < 30; attempt++) {
+            try {
+                this.runCompose(args, options);
+                return;
+            } catch (err) {
+                await Utils.sleep(1000);
+            }
+        }
+        throw new Errors.TrambarError('Database is not responding');
+    }
+
+    archiveMedia(env, path) {
+        var args;
+        if (env.TRAMBAR_MEDIA_FOLDER) {
+            var mediaFolder = Path.resolve(this.configFolder, env.TRAMBAR_MEDIA_FOLDER);
+            this.log(`Archiving ${mediaFolder}`);
+            args = [ '-czf', path, '-C', mediaFolder, '.' ];
+            this.run('tar', args);
+        } else {
+            // use the database image to read from the named volume
+            var volume = `${this.prefix}_media`;
+            this.log(`Archiving volume ${volume}`);
+            args = [
+                'run', '--rm', '--entrypoint', 'tar',
+                '-v', `${volume}:/var/cache/media:ro`,
+                '-v', `${Path.dirname(path)}:/backup`,
+                `trambar/trambar-postgres:${env.TRAMBAR_BUILD}`,
+                '-czf', `/backup/${Path.basename(path)}`, '-C', '/var/cache/media', '.'
+            ];
+            this.run(this.getEngine().cli, args);
+        }
+    }
+
+    copyStorage(env, store) {
+        // use the database image, with the same SELinux labels as in
+        // docker-compose.yml; cp -a keeps ownership, permissions and
+        // extended attributes; label separation is turned off so the
+        // source can be read without relabelling it, whatever its label
+        var args = [
+            'run', '--rm', '--entrypoint', 'cp',
+            '--security-opt', 'label=disable',
+            '-v', `${store.source.mount}:/source:ro`,
+            '-v', `${store.target.mount}:/target${store.target.folder ? ':' + store.label : ''}`,
+            `trambar/trambar-postgres:${env.TRAMBAR_BUILD}`,
+            '-a', '/source/.', '/target/'
+        ];
+        this.run(this.getEngine().cli, args);
+    }
+
+    measureStorage(env, store, location) {
+        var args = [
+            'run', '--rm', '--entrypoint', 'find',
+            '--security-opt', 'label=disable',
+            '-v', `${location.mount}:/storage:ro`,
+            `trambar/trambar-postgres:${env.TRAMBAR_BUILD}`,
+            '/storage', '-type', 'f', '-exec', 'stat', '-c', '%s', '{}', '+'
+        ];
+        var options = {
+            stdio: [ 'ignore', 'pipe', 'inherit' ],
+            maxBuffer: 256 * 1024 * 1024,
+        };
+        var sizes = _.filter(_.split(this.capture(this.getEngine().cli, args, options), /\r?\n/));
+        return {
+            count: sizes.length,
+            size: _.sum(_.map(sizes, (size) => parseInt(size))),
+        };
+    }
+
+    loadBackupManifest(folder) {
+        var path = `${folder}/manifest.json`;
+        this.checkFileExistence(path);
+        var manifest = JSON.parse(FS.readFileSync(path, 'utf-8'));
+        _.each(manifest.files, (file) => {
+            var filePath = `${folder}/${file.name}`;
+            this.checkFileExistence(filePath);
+            if (Utils.getFileChecksum(filePath) !== file.sha256) {
+                throw new Errors.TrambarError(`Checksum mismatch: ${file.name}`);
+            }
+        });
+        return manifest;
+    }
+
+    async confirmDatabaseOverwrite(env, running, force) {
+        if (force) {
+            return;
+        }
+        // start the database manager by itself if Trambar isn't running
+        if (!running) {
+            this.runCompose([ 'up', '-d', 'postgres' ]);
+        }
+        try {
+            await this.waitForDatabase();
+            var sql = `SELECT count(*) FROM pg_catalog.pg_tables WHERE schemaname NOT IN ('pg_catalog', 'information_schema')`;
+            var tableCount = parseInt(this.queryDatabase(env, sql));
+            if (tableCount > 0) {
+                if (!await this.prompter.confirm(`Database ${env.TRAMBAR_DATABASE_NAME} is not empty. Overwrite it?`, false)) {
+                    throw new Errors.CancelledError;
+                }
+            }
+        } catch (err) {
+            if (!running) {
+                this.runCompose([ 'rm', '-s', '-f', 'postgres' ]);
+            }
+            throw err;
+        }
+    }
+
+    async restoreDatabase(env, path) {
+        this.runCompose([ 'up', '-d', 'postgres' ]);
+        try {
+            await this.waitForDatabase();
+            this.createRoles(env);
+            this.log(`Restoring database ${env.TRAMBAR_DATABASE_NAME}`);
+            var fd = FS.openSync(path, 'r');
+            try {
+                var args = [
+                    'exec', '-T', 'postgres',
+                    'pg_restore', '-U', 'root', '-d', env.TRAMBAR_DATABASE_NAME,
+                    '--clean', '--if-exists', '--single-transaction', '--exit-on-error'
+                ];
+                this.runCompose(args, { stdio: [ fd, 'inherit', 'inherit' ] });
+            } finally {
+                FS.closeSync(fd);
+            }
+        } finally {
+            this.runCompose([ 'rm', '-s', '-f', 'postgres' ]);
+        }
+    }
+
+    restoreMedia(env, path) {
+        var args;
+        if (env.TRAMBAR_MEDIA_FOLDER) {
+            var mediaFolder = Path.resolve(this.configFolder, env.TRAMBAR_MEDIA_FOLDER);
+            this.log(`Restoring media files to ${mediaFolder}`);
+            FS.mkdirpSync(mediaFolder);
+            args = [ '-xzf', path, '-C', mediaFolder ];
+            this.run('tar', args);
+        } else {
+            var volume = `${this.prefix}_media`;
+            this.log(`Restoring media files to volume ${volume}`);
+            args = [
+                'run', '--rm', '--entrypoint', 'tar',
+                '-v', `${volume}:/var/cache/media`,
+                '-v', `${Path.dirname(path)}:/backup:ro`,
+                `trambar/trambar-postgres:${env.TRAMBAR_BUILD}`,
+                '-xzf', `/backup/${Path.basename(path)}`, '-C', '/var/cache/media'
+            ];
+            this.run(this.getEngine().cli, args);
+        }
+    }
+
+    createRoles(env) {
+        // the dump has OWNER and GRANT statements naming the roles, which
+        // schema_manager hasn't created yet on a fresh installation
+        var roles = _.omit(databaseRoles, 'root');
+        var statements = _.map(roles, (name, role) => {
+            return `DO $$ BEGIN CREATE ROLE ${role} WITH LOGIN PASSWORD '${env[name]}'; EXCEPTION WHEN duplicate_object THEN NULL; END $$;`;
+        });
+        var args = [ 'exec', '-T', 'postgres', 'psql', '-U', 'root', '-d', env.TRAMBAR_DATABASE_NAME, '-q', '-v', 'ON_ERROR_STOP=1' ];
+        var options = {
+            input: statements.join('\n'),
+            stdio: [ 'pipe', 'ignore', 'pipe' ]
+        };
+        this.runCompose(args, options);
+    }
+
+    setRolePasswords(env, passwords) {
+        var statements = _.map(passwords, (password, role) => {
+            return `ALTER ROLE ${role} WITH PASSWORD '${password}';`;
+        });
+        var sql = _.concat('BEGIN;', statements, 'COMMIT;').join('\n');
+        // send statements through stdin so the passwords don't show up in
+        // the process list
+        var args = [ 'exec', '-T', 'postgres', 'psql', '-U', 'root', '-d', env.TRAMBAR_DATABASE_NAME, '-q', '-v', 'ON_ERROR_STOP=1' ];
+        var options = {
+            input: sql,
+            stdio: [ 'pipe', 'ignore', 'pipe' ]
+        };
+        this.runCompose(args, options);
+    }
+
+    queryDatabase(env, sql) {
+        var args = [ 'exec', '-T', 'postgres', 'psql', '-U', 'root', '-d', env.TRAMBAR_DATABASE_NAME, '-tAc', sql ];
+        var options = {
+            stdio: [ 'ignore', 'pipe', 'inherit' ]
+        };
+        return _.trim(this.captureCompose(args, options));
+    }
+
+    pruneBackups(folder, daily, weekly) {
+        var backups = this.getBackups(folder);
+        var kept = _.union(
+            selectBackups(backups, daily, (date) => {
+                return Utils.getTimestamp(date).substr(0, 8);
+            }),
+            selectBackups(backups, weekly, (date) => {
+                // use the Monday of the week as key
+                var monday = new Date(date);
+                monday.setDate(date.getDate() - (date.getDay() + 6) % 7);
+                return Utils.getTimestamp(monday).substr(0, 8);
+            })
+        );
+        _.each(_.difference(backups, kept), (backup) => {
+            this.log(`Removing ${backup.path}`);
+            FS.unlinkSync(backup.path);
+        });
+    }
+
+    getBackups(folder) {
+        var re = new RegExp(`^${_.escapeRegExp(this.prefix)}-(\\d{4})(\\d{2})(\\d{2})-(\\d{2})(\\d{2})(\\d{2})\\.tar$`);
+        var backups = [];
+        _.each(FS.readdirSync(folder), (name) => {
+            var m = re.exec(name);
+            if (m) {
+                var date = new Date(m[1], m[2] - 1, m[3], m[4], m[5], m[6]);
+                backups.push({ path: `${folder}/${name}`, date: date });
+            }
+        });
+        // newest first
+        return _.orderBy(backups, 'date', 'desc');
+    }
+
+    async isRunning() {
+        var processes = await this.getProcesses();
+        return !_.isEmpty(processes);
+    }
+
+    async checkRunning() {
+        if (!await this.isRunning()) {
+            throw new Errors.NotRunningError;
+        }
+    }
+
+    checkRootAccess() {
+        if (OS.type() === 'Linux' && !IsRoot()) {
+            throw new Errors.PermissionDeniedError;
+        }
+    }
+
+    async isDockerAccessible() {
+        try {
+            await this.checkDockerAccess();
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    async checkDockerAccess() {
+        try {
+            await this.docker.ping();
+        } catch (err) {
+            if (err instanceof Errors.DaemonUnreachableError) {
+                if (!this.docker.socketPath || FS.existsSync(this.docker.socketPath) || Utils.isInstalled('docker') || Utils.isInstalled('podman')) {
+                    throw err;
+                }
+                throw new Errors.DockerUnavailableError('Docker is not installed');
+            } else if (err instanceof Errors.DockerUnavailableError) {
+                throw err;
+            }
+            throw new Errors.DockerUnavailableError(err.message);
+        }
+    }
+
+    isSystemdAvailable() {
+        return FS.existsSync('/run/systemd/system') && Utils.isInstalled('systemctl');
+    }
+
+    checkSystemd() {
+        if (!this.isSystemdAvailable()) {
+            throw new Errors.TrambarError('Systemd is not available on this system');
+        }
+    }
+
+    getUnitName() {
+        return `${this.prefix}.service`;
+    }
+
+    getUnitPath() {
+        return `/etc/systemd/system/${this.getUnitName()}`;
+    }
+
+    hasUnit() {
+        return FS.existsSync(this.getUnitPath());
+    }
+
+    isUnitActive() {
+        return this.querySystemd('is-active', this.getUnitName()) === 'active';
+    }
+
+    querySystemd(action, unit) {
+        var options = {
+            stdio: [ 'ignore', 'pipe', 'ignore' ]
+        };
+        try {
+            return _.trim(ChildProcess.execFileSync('systemctl', [ action, unit ], options));
+        } catch (err) {
+            // systemctl exits with non-zero code when unit is disabled or inactive
+            return _.trim(err.stdout) || 'unknown';
+        }
+    }
+
+    checkConfiguration() {
+        _.each([ 'docker-compose.yml', '.env' ], (name) => {
+            var path = `${this.configFolder}/${name}`;
+            if (!FS.existsSync(path)) {
+                throw new Errors.ConfigurationMissingError(path);
+            }
+        });
+    }
+
+    checkFileExistence(path) {
+        if (!FS.existsSync(path)) {
+            throw new Errors.NotFoundError(`File not found: ${path}`);
+        }
+    }
+
+    async getProcesses(options) {
+        var containers = await this.docker.listContainers();
+        var list = _.map(containers, (c) => {
+            return {
+                Image: normalizeImageName(c.Image),
+                Names: _.trimStart(_.first(c.Names), '/'),
+                ID: c.Id,
+            };
+        });
+        if (_.get(options, 'all')) {
+            return list;
+        } else {
+            return _.filter(list, (p) => {
+                if (/^trambar\//.test(p.Image)) {
+                    return true;
+                }
+            });
+        }
+    }
+
+    async getImages(options) {
+        var images = await this.docker.listImages();
+        var list = [];
+        _.each(images, (i) => {
+            var tags = _.without(i.RepoTags, '<none>:<none>');
+            if (_.isEmpty(tags)) {
+                // an untagged image still has the repository name in its digest
+                var digest = _.first(i.RepoDigests);
+                var repository = (digest) ? normalizeImageName(digest.replace(/@.*/, '')) : '<none>';
+                list.push({ Repository: repository, ID: i.Id, Tag: '<none>' });
+            } else {
+                _.each(tags, (tag) => {
+                    var m = /^(.*):([^:\/]*)$/.exec(tag);
+                    list.push({ Repository: normalizeImageName(m[1]), ID: i.Id, Tag: m[2] });
+                });
+            }
+        });
+        if (_.get(options, 'all')) {
+            return list;
+        } else {
+            return _.filter(list, (i) => {
+                if (/^trambar\//.test(i.Repository)) {
+                    return true;
+                }
+            });
+        }
+    }
+
+    getServices() {
+        var args = [ 'config', '--services' ];
+        var options = {
+            stdio: [ 'ignore', 'pipe', 'pipe' ]
+        };
+        var text = this.captureCompose(args, options);
+        return _.filter(_.map(_.split(text, /[\r\n]+/), _.trim));
+    }
+
+    getServiceImages() {
+        var services = this.getServiceConfigurations();
+        return _.pickBy(_.mapValues(services, 'image'));
+    }
+
+    /**
+     * Return images of services in the config files that would be created
+     * from a configuration
+     *
+     * @param  {Object} config
+     *
+     * @return {Object}
+     */
+    getTemplateImages(config) {
+        var env = Utils.parseEnvironment(this.renderConfigFile('env', config));
+        var services = _.get(Yaml.safeLoad(this.renderConfigFile('docker-compose.yml', config)), 'services', {});
+        return _.pickBy(_.mapValues(services, (service) => {
+            return _.replace(service.image, /\$\{(\w+)\}/g, (match, name) => env[name] || '');
+        }));
+    }
+
+    async isImageAvailable(name) {
+        try {
+            return !!await this.docker.inspectDistribution(name);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    async getServiceStatus(includeStats) {
+        var images = this.getServiceImages();
+        var containers = await this.getContainers();
+        var stats = (includeStats) ? await this.getContainerStats(containers) : {};
+        var limits = (includeStats) ? Services.getResourceLimits(this.loadSettings().resources) : {};
+        var now = new Date;
+        var list = [];
+        for (var service of this.getServices()) {
+            var container = _.find(containers, (c) => {
+                return c.Config.Labels['com.docker.compose.service'] === service;
+            });
+            var name = (container) ? normalizeImageName(container.Config.Image) : images[service] || '';
+            var image = name.replace(/:[^:\/]*$/, '');
+            var status = {
+                name: service,
+                container: (container) ? _.trimStart(container.Name, '/') : null,
+                image: image || null,
+                tag: (image) ? name.substr(image.length + 1) || 'latest' : null,
+                digest: null,
+                state: (container) ? container.State.Status : 'missing',
+                uptime: null,
+                restarts: (container) ? container.RestartCount : 0,
+            };
+            if (container) {
+                var details = await this.getImageDetails(container.Image);
+                if (details) {
+                    status.digest = getImageDigest(details, image);
+                }
+                if (container.State.Running) {
+                    status.uptime = Math.round((now - new Date(container.State.StartedAt)) / 1000);
+                }
+            }
+            if (includeStats) {
+                var usage = (container) ? stats[status.container] : null;
+                status.cpu = (usage) ? getCPUUsage(usage) : null;
+                status.memory = (usage) ? getMemoryUsage(usage) : null;
+                // limits set through setResourceLimits()
+                var limit = limits[service] || {};
+                status.limits = {
+                    memory: Utils.parseSize(limit.memory),
+                    cpus: limit.cpus || null,
+                    replicas: limit.replicas || null,
+                };
+            }
+            list.push(status);
+        }
+        return list;
+    }
+
+    async getContainerStats(containers) {
+        var running = _.filter(containers, 'State.Running');
+        var stats = await Promise.all(_.map(running, (c) => {
+            return this.docker.getContainerStats(c.Id);
+        }));
+        return _.zipObject(_.map(running, (c) => _.trimStart(c.Name, '/')), stats);
+    }
+
+    getServiceConfigurations() {
+        var args = [ 'config' ];
+        var options = {
+            stdio: [ 'ignore', 'pipe', 'ignore' ]
+        };
+        try {
+            var text = this.captureCompose(args, options);
+            return _.get(Yaml.safeLoad(text), 'services', {});
+        } catch (err) {
+            return {};
+        }
+    }
+
+    async getImageDetails(name) {
+        return this.docker.inspectImage(name);
+    }
+
+    async getContainers() {
+        var containers = await this.docker.listContainers({
+            all: true,
+            filters: { label: [ `com.docker.compose.project=${this.prefix}` ] },
+        });
+        var list = [];
+        for (var c of containers) {
+            list.push(await this.docker.inspectContainer(c.Id));
+        }
+        return list;
+    }
+
+    generateCertificate(certPath, keyPath, domain, days) {
+        var altNames = _.map(getCertificateHostNames(domain), (name) => {
+            return (/^[\d\.]+$|:/.test(name)) ? `IP:${name}` : `DNS:${name}`;
+        });
+        var settings = [
+            '[req]',
+            'distinguished_name = dn',
+            'x509_extensions = ext',
+            'prompt = no',
+            '[dn]',
+            `CN = ${domain}`,
+            '[ext]',
+            `subjectAltName = ${altNames.join(', ')}`,
+            'basicConstraints = critical, CA:FALSE',
+            'keyUsage = critical, digitalSignature, keyEncipherment',
+            'extendedKeyUsage = serverAuth',
+        ];
+        if (this.dryRun) {
+            this.log(`Would create self-signed certificate ${certPath} (key ${keyPath}) for ${altNames.join(', ')}`);
+            return;
+        }
+        var folder = Path.dirname(certPath);
+        var settingsPath = `${folder}/.openssl.cnf`;
+        var tempCertPath = `${certPath}.tmp`;
+        var tempKeyPath = `${keyPath}.tmp`;
+        try {
+            FS.mkdirpSync(folder);
+            FS.mkdirpSync(Path.dirname(keyPath));
+            FS.writeFileSync(settingsPath, settings.join('\n') + '\n');
+            var cmd = 'openssl';
+            var args = [
+                'req', '-x509', '-new', '-nodes', '-newkey', 'rsa:2048', '-sha256',
+                '-days', `${days || Defaults.certificateDays}`, '-config', settingsPath,
+                '-keyout', tempKeyPath, '-out', tempCertPath,
+            ];
+            var options = {
+                stdio: [ 'ignore', 'ignore', 'pipe' ]
+            };
+            try {
+                ChildProcess.execFileSync(cmd, args, options);
+            } catch (err) {
+                if (err.code === 'ENOENT') {
+                    throw new Errors.TrambarError('OpenSSL is not installed');
+                }
+                throw new Errors.CommandFailedError(cmd, args, err);
+            }
+            FS.chmodSync(tempKeyPath, 0o600);
+            // replace the files only after both have been generated
+            this.log(`Saving ${keyPath}`);
+            FS.renameSync(tempKeyPath, keyPath);
+            this.log(`Saving ${certPath}`);
+            FS.renameSync(tempCertPath, certPath);
+        } finally {
+            _.each([ settingsPath, tempCertPath, tempKeyPath ], (path) => {
+                if (FS.existsSync(path)) {
+                    FS.unlinkSync(path);
+                }
+            });
+        }
+    }
+
+    async removeImage(id, ignoreFailure) {
+        if (this.dryRun) {
+            this.log(`Would remove image ${id}`);
+            return;
+        }
+        try {
+            await this.docker.removeImage(id);
+        } catch (err) {
+            if (!ignoreFailure) {
+                throw err;
+            }
+            this.log(err.message);
+        }
+    }
+
+    async createConfiguration(options) {
+        var isPublic = Utils.isPublicServer();
+        var settings = this.loadSettings();
+        var config = {
+            ssl: true,
+            certbot: (isPublic) ? true : false,
+            snakeoil: (isPublic) ? false : true,
+            server_name: (isPublic) ? '' : OS.hostname(),
+            contact_email: '',
+            http_port: (isPublic) ? 80 : 8080,
+            https_port: (isPublic) ? 443 : 8443,
+            cert_path: '',
+            key_path: '',
+            ssl_folder: '',
+            database_folder: Defaults.databaseFolder,
+            media_folder: Defaults.mediaFolder,
+            volumes: !Defaults.databaseFolder || !Defaults.mediaFolder,
+            build: this.build || Defaults.build,
+            proxy: false,
+            bind_address: '',
+            trusted_proxies: '',
+            services: Services.getServiceFlags(settings.services),
+            resources: Services.getResourceLimits(settings.resources),
+        };
+        await this.promptForConfiguration(config);
+        config.password = _.map([ 1, 2, 3, 4], generatePassword);
+        // an unattended install mustn't fall back to a well-known password
+        var defaultPassword = (this.prompter.isInteractive()) ? Defaults.password : undefined;
+        var password = await this.prompter.promptForPassword(`Password for Trambar root account:`, defaultPassword, 'password');
+
+        if (config.snakeoil) {
+            if (!FS.existsSync(config.cert_path) || await this.prompter.confirm(`Overwrite ${config.cert_path}?`, false)) {
+                this.generateCertificate(config.cert_path, config.key_path, config.server_name, _.get(options, 'days'));
+            }
+        }
+        await this.createConfigFile(`${this.configFolder}/docker-compose.yml`, 'docker-compose.yml', config);
+        await this.createConfigFile(`${this.configFolder}/.env`, 'env', config, 0o600);
+        await this.savePassword(password);
+        if (!this.dryRun) {
+            // folder for additional nginx config files
+            FS.mkdirpSync(this.getExtraFolder());
+        }
+        if (config.proxy) {
+            this.saveRealIPSnippet(config);
+        }
+        return config;
+    }
+
+    async promptForConfiguration(config) {
+        var prompter = this.prompter;
+        // --yes mustn't switch to proxy mode, so it's only asked when there's
+        // someone to answer or an answer is given
+        if (prompter.isInteractive() || prompter.hasAnswer('proxy')) {
+            config.proxy = await prompter.confirm(`Run behind another reverse proxy (e.g. Traefik, Caddy, nginx)?`, config.proxy, 'proxy');
+        }
+        if (config.proxy) {
+            // the proxy in front handles SSL
+            config.ssl = config.certbot = config.snakeoil = false;
+            config.server_name = await prompter.promptForText(`Server domain name:`, config.server_name || undefined, 'server_name');
+            var address = await prompter.promptForText(`Address to accept connections from the proxy on:`, _.trim(config.bind_address, '[]') || '127.0.0.1', 'bind_address');
+            if (!Net.isIP(address)) {
+                throw new Errors.UsageError(`Invalid address: ${address}`);
+            }
+            config.bind_address = (Net.isIPv6(address)) ? `[${address}]` : address;
+            // Docker forwards connections to published ports from its bridge
+            // network, so the proxy's address isn't seen as is
+            var trusted = await prompter.promptForText(`Addresses of trusted proxies (comma-separated):`, config.trusted_proxies || Defaults.trustedProxies, 'trusted_proxies');
+            var addresses = parseAddressList(trusted, true);
+            if (_.isEmpty(addresses)) {
+                throw new Errors.UsageError('No addresses specified');
+            }
+            config.trusted_proxies = addresses.join(', ');
+            if (config.http_port === 80) {
+                // the proxy is using it
+                config.http_port = 8080;
+            }
+        } else {
+            config.bind_address = '';
+            config.ssl = await prompter.confirm(`Set up SSL?`, config.ssl, 'ssl');
+            if (!config.ssl) {
+                config.certbot = config.snakeoil = false;
+            }
+        }
+        if (config.ssl) {
+            config.certbot = await prompter.confirm(`Use certbot (https://certbot.eff.org/)?`, config.certbot, 'certbot');
+            if (config.certbot) {
+                config.server_name = await prompter.promptForText(`Server domain name:`, config.server_name, 'server_name');
+                config.contact_email = await prompter.promptForText(`Contact e-mail:`, config.contact_email || undefined, 'contact_email');
+                config.ssl_folder = './certbot';
+                config.cert_path = '';
+                config.key_path = '';
+                config.snakeoil = false;
+            } else {
+                config.snakeoil = await prompter.confirm(`Use self-signed SSL certificate?`, config.snakeoil, 'snakeoil');
+                config.server_name = await prompter.promptForText(`Server domain name:`, config.server_name, 'server_name');
+                if (config.snakeoil) {
+                    config.ssl_folder = `${this.configFolder}/certs`;
+                    config.cert_path = `${config.ssl_folder}/snakeoil.crt`;
+                    config.key_path = `${config.ssl_folder}/snakeoil.key`;
+                } else {
+                    config.cert_path = await prompter.promptForPath(`Full path of certificate:`, config.cert_path || undefined, 'cert_path');
+                    config.key_path = await prompter.promptForPath(`Full path of private key:`, config.key_path || undefined, 'key_path');
+                    config.ssl_folder = CommonDir([
+                        config.cert_path,
+                        config.key_path,
+                        FS.realpathSync(config.cert_path),
+                        FS.realpathSync(config.key_path),
+                    ]);
+                    if (/^\/[^\/]+$/.test(config.ssl_folder)) {
+                        throw new Errors.TrambarError('Certificate location requires mounting of root level folder');
+                    }
+                }
+            }
+            config.https_port = await prompter.promptForPort(`HTTPS port:`, config.https_port, 'https_port');
+        }
+        config.http_port = await prompter.promptForPort(`HTTP port:`, config.http_port, 'http_port');
+        var databaseFolder = prompter.getAnswer('database_folder');
+        var mediaFolder = prompter.getAnswer('media_folder');
+        if (databaseFolder || mediaFolder) {
+            // folders can only be specified through answers
+            config.database_folder = Parsers.parseText(databaseFolder || config.database_folder || Defaults.databaseFolder);
+            config.media_folder = Parsers.parseText(mediaFolder || config.media_folder || Defaults.mediaFolder);
+            config.volumes = false;
+        }
+        return config;
+    }
+
+    /**
+     * Ask for the values used by a snippet template
+     *
+     * @param  {String} template
+     * @param  {String} name
+     *
+     * @return {Object}
+     */
+    async promptForSnippet(template, name) {
+        var prompter = this.prompter;
+        switch (template) {
+            case 'body-size':
+                var size = await prompter.promptForText('Maximum size of uploads:', '100m', 'max_body_size');
+                if (!/^\d+[kmg]?$/i.test(size)) {
+                    throw new Errors.UsageError(`Invalid size: ${size} (e.g. 100m, 1g)`);
+                }
+                return { max_body_size: size };
+            case 'access-list':
+                var allow = await prompter.promptForText('Addresses to allow (comma-separated, or none):', undefined, 'allow');
+                var deny = await prompter.promptForText('Addresses to deny (comma-separated, or none):', 'all', 'deny');
+                var rules = _.concat(
+                    _.map(parseAddressList(allow), (address) => `allow ${address};`),
+                    _.map(parseAddressList(deny), (address) => `deny ${address};`)
+                );
+                if (_.isEmpty(rules)) {
+                    throw new Errors.UsageError('No addresses specified');
+                }
+                return { rules: rules.join('\n') };
+            case 'hsts':
+                var maxAge = await prompter.promptForText('Number of seconds browsers should remember to use HTTPS:', '31536000', 'hsts_max_age');
+                if (!/^\d+$/.test(maxAge)) {
+                    throw new Errors.UsageError(`Invalid number of seconds: ${maxAge}`);
+                }
+                var subdomains = await prompter.confirm('Apply to subdomains too?', false, 'hsts_subdomains');
+                return { max_age: maxAge, subdomains };
+            case 'rate-limit':
+                var rate = await prompter.promptForText('Requests per second from each address:', '10', 'rate_limit');
+                var burst = await prompter.promptForText('Requests allowed in a burst:', '20', 'rate_burst');
+                if (!/^\d+$/.test(rate) || !(parseInt(rate) > 0)) {
+                    throw new Errors.UsageError(`Invalid request rate: ${rate}`);
+                }
+                if (!/^\d+$/.test(burst)) {
+                    throw new Errors.UsageError(`Invalid burst size: ${burst}`);
+                }
+                // each snippet needs a zone of its own
+                return { zone: `trambar_${_.snakeCase(name)}`, rate, burst };
+            case 'real-ip':
+                var trusted = await prompter.promptForText('Addresses of trusted proxies (comma-separated):', Defaults.trustedProxies, 'trusted_proxies');
+                var addresses = parseAddressList(trusted, true);
+                if (_.isEmpty(addresses)) {
+                    throw new Errors.UsageError('No addresses specified');
+                }
+                return { rules: getRealIPRules(addresses) };
+        }
+    }
+
+    loadConfiguration() {
+        var envText = FS.readFileSync(`${this.configFolder}/.env`, 'utf-8');
+        var composeText = FS.readFileSync(`${this.configFolder}/docker-compose.yml`, 'utf-8');
+        var env = Utils.parseEnvironment(envText);
+        var settings = this.loadSettings();
+        // commented-out lines hold values of options that aren't in use
+        var inactive = Utils.parseEnvironment(_.replace(envText, /^\s*#\s*/gm, ''));
+        var get = (name) => {
+            return (env[name] !== undefined) ? env[name] : (inactive[name] || '');
+        };
+        var ssl = !!env.TRAMBAR_HTTPS_PORT;
+        var certbot = ssl && /^\s*image: trambar\/trambar-nginx-certbot:/m.test(composeText);
+        var snakeoil = ssl && !certbot && Path.basename(get('TRAMBAR_SSL_CERT')) === 'snakeoil.crt';
+        var config = {
+            ssl: ssl,
+            certbot: certbot,
+            snakeoil: snakeoil,
+            server_name: get('TRAMBAR_SSL_DOMAIN') || OS.hostname(),
+            contact_email: get('TRAMBAR_SSL_EMAIL'),
+            http_port: parseInt(get('TRAMBAR_HTTP_PORT')) || 8080,
+            https_port: parseInt(get('TRAMBAR_HTTPS_PORT')) || 8443,
+            cert_path: get('TRAMBAR_SSL_CERT'),
+            key_path: get('TRAMBAR_SSL_KEY'),
+            ssl_folder: get('TRAMBAR_SSL_FOLDER'),
+            database_folder: get('TRAMBAR_DATABASE_FOLDER') || Defaults.databaseFolder,
+            media_folder: get('TRAMBAR_MEDIA_FOLDER') || Defaults.mediaFolder,
+            volumes: /^\s*- database:/m.test(composeText),
+            build: this.build || env.TRAMBAR_BUILD || Defaults.build,
+            proxy: !!env.TRAMBAR_HTTP_ADDRESS,
+            bind_address: env.TRAMBAR_HTTP_ADDRESS || '',
+            trusted_proxies: this.loadTrustedProxies().join(', '),
+            services: Services.getServiceFlags(settings.services),
+            resources: Services.getResourceLimits(settings.resources),
+            password: [
+                env.TRAMBAR_DATABASE_ROOT_PASSWORD,
+                env.TRAMBAR_DATABASE_ADMIN_PASSWORD,
+                env.TRAMBAR_DATABASE_CLIENT_PASSWORD,
+                env.TRAMBAR_DATABASE_AUTH_PASSWORD,
+            ],
+        };
+        if (!_.every(config.password)) {
+            throw new Errors.TrambarError('Database passwords are missing from .env');
+        }
+        return config;
+    }
+
+    async createConfigFile(path, name, config, mode) {
+        if (FS.existsSync(path)) {
+            if (!await this.prompter.confirm(`Overwrite ${path}?`, false)) {
+                return;
+            }
+        }
+        var text = this.renderConfigFile(name, config);
+        this.saveFile(path, text, mode);
+    }
+
+    renderConfigFile(name, config) {
+        var templatePath = `${__dirname}/templates/${name}`;
+        var template = FS.readFileSync(templatePath, 'utf-8');
+        var fn = _.template(template, { interpolate: /<%=([\s\S]+?)%>/g });
+        return fn(config);
+    }
+
+    getUserNames() {
+        return _.filter(_.map(this.loadPasswordFile(), 'name'));
+    }
+
+    async savePassword(password, name) {
+        if (!password) {
+            throw new Errors.TrambarError('Password cannot be empty');
+        }
+        name = name || 'root';
+        var hash = BcryptJS.hashSync(password, 10);
+        // Bcrypt hash made by htpasswd has the prefix $2y$ instead of $2a$
+        hash = '$2y$' + hash.substring(4);
+        var line = `${name}:${hash}`;
+        await this.updatePasswordFile((entries) => {
+            var entry = _.find(entries, { name });
+            if (entry) {
+                entry.line = line;
+            } else {
+                entries.push({ name, line });
+            }
+            return entries;
+        });
+    }
+
+    async removePassword(name) {
+        await this.updatePasswordFile((entries) => {
+            var remaining = _.reject(entries, { name });
+            if (!_.some(remaining, 'name')) {
+                throw new Errors.TrambarError('Cannot remove the last user account');
+            }
+            return remaining;
+        });
+    }
+
+    loadPasswordFile() {
+        var path = `${this.configFolder}/trambar.htpasswd`;
+        if (!FS.existsSync(path)) {
+            return [];
+        }
+        var text = _.trimEnd(FS.readFileSync(path, 'utf-8'), '\r\n');
+        if (!text) {
+            return [];
+        }
+        return _.map(_.split(text, /\r?\n/), (line) => {
+            // comments and blank lines are kept as they are
+            var m = /^([^:\s#][^:]*):/.exec(line);
+            return { name: (m) ? m[1] : undefined, line };
+        });
+    }
+
+    async updatePasswordFile(callback) {
+        var path = `${this.configFolder}/trambar.htpasswd`;
+        var lockPath = (!this.dryRun) ? await Utils.lockFile(path) : null;
+        try {
+            var entries = callback(this.loadPasswordFile());
+            var text = _.map(entries, 'line').join('\n') + '\n';
+            var mode = FS.existsSync(path) ? FS.statSync(path).mode & 0o777 : 0o644;
+            this.saveFile(path, text, mode);
+        } finally {
+            if (lockPath) {
+                Utils.unlockFile(lockPath);
+            }
+        }
+    }
+
+    loadEnvironment() {
+        var path = `${this.configFolder}/.env`;
+        var text = FS.readFileSync(path, 'utf-8');
+        return Utils.parseEnvironment(text);
+    }
+
+    saveEnvironment(values) {
+        var path = `${this.configFolder}/.env`;
+        var text = FS.readFileSync(path, 'utf-8');
+        var remaining = _.clone(values);
+        var lines = _.map(_.split(_.trimEnd(text, '\r\n'), /\r?\n/), (line) => {
+            var m = /^\s*([^#=\s][^=]*?)\s*=/.exec(line);
+            if (m && _.has(values, m[1])) {
+                delete remaining[m[1]];
+                return `${m[1]}=${values[m[1]]}`;
+            }
+            return line;
+        });
+        _.each(remaining, (value, name) => {
+            lines.push(`${name}=${value}`);
+        });
+        this.saveFile(path, lines.join('\n') + '\n', 0o600);
+    }
+
+    loadTrustedProxies() {
+        var path = `${this.getExtraFolder()}/real-ip.conf`;
+        if (!FS.existsSync(path)) {
+            return [];
+        }
+        var text = FS.readFileSync(path, 'utf-8');
+        var addresses = [];
+        var re = /^\s*set_real_ip_from\s+([^;\s]+)\s*;/gm, m;
+        while (m = re.exec(text)) {
+            addresses.push(m[1]);
+        }
+        return addresses;
+    }
+
+    /**
+     * Save the snippet that has nginx trust X-Forwarded-For from the proxies
+     * named in the configuration
+     *
+     * @param  {Object} config
+     */
+    saveRealIPSnippet(config) {
+        var addresses = parseAddressList(config.trusted_proxies, true);
+        var params = { rules: getRealIPRules(addresses) };
+        this.saveFile(`${this.getExtraFolder()}/real-ip.conf`, this.renderConfigFile('nginx/real-ip.conf', params));
+    }
+
+    getExtraFolder() {
+        // .env doesn't exist yet during a dry run of install
+        var env = (FS.existsSync(`${this.configFolder}/.env`)) ? this.loadEnvironment() : {};
+        return Path.resolve(this.configFolder, env.TRAMBAR_EXTRA_FOLDER || './extra');
+    }
+
+    loadSettings() {
+        var path = `${this.configFolder}/settings.json`;
+        var settings = {};
+        if (FS.existsSync(path)) {
+            settings = JSON.parse(FS.readFileSync(path, 'utf-8'));
+        }
+        return _.defaults(settings, {
+            generations: Defaults.generations,
+        });
+    }
+
+    saveSettings(settings) {
+        var path = `${this.configFolder}/settings.json`;
+        this.saveFile(path, JSON.stringify(settings, undefined, 2) + '\n');
+    }
+
+    /**
+     * Save a file, or show how it would change when doing a dry run
+     *
+     * @param  {String} path
+     * @param  {String} text
+     * @param  {Number|undefined} mode
+     */
+    saveFile(path, text, mode) {
+        if (this.dryRun) {
+            var exists = FS.existsSync(path);
+            var diff;
+            if (exists) {
+                diff = Utils.getTextDiff(FS.readFileSync(path, 'utf-8'), text);
+            } else {
+                var lines = _.split(_.trimEnd(text, '\r\n'), /\r?\n/);
+                diff = _.concat(`@@ -0,0 +1,${lines.length} @@`, _.map(lines, (line) => `+${line}`));
+            }
+            if (_.isEmpty(diff)) {
+                this.log(`Would leave ${path} unchanged`);
+            } else {
+                this.log(`Would ${exists ? 'save' : 'create'} ${path}`);
+                this.log(`--- ${(exists) ? path : '/dev/null'}`);
+                this.log(`+++ ${path}`);
+                this.log(Utils.maskSecrets(diff).join('\n'));
+            }
+            return;
+        }
+        this.log(`Saving ${path}`);
+        FS.mkdirpSync(Path.dirname(path));
+        // write to temporary file first so the file is never half-written
+        var tempPath = `${path}.tmp`;
+        if (FS.existsSync(tempPath)) {
+            // mode is only applied to a file being created
+            FS.unlinkSync(tempPath);
+        }
+        FS.writeFileSync(tempPath, text, (mode) ? { mode } : undefined);
+        if (mode) {
+            // in case umask removed some bits
+            FS.chmodSync(tempPath, mode);
+        }
+        FS.renameSync(tempPath, path);
+    }
+
+    removeFile(path) {
+        if (this.dryRun) {
+            this.log(`Would remove ${path}`);
+            return;
+        }
+        this.log(`Removing ${path}`);
+        FS.unlinkSync(path);
+    }
+
+    checkDryRun(command) {
+        if (this.dryRun) {
+            throw new Errors.UsageError(`Dry run is not supported by ${command}`);
+        }
+    }
+
+    run(cmd, args, options) {
+        if (this.dryRun) {
+            this.log(`Would run: ${formatCommand(cmd, args)}`);
+            return;
+        }
+        options = _.assign({ stdio: this.stdio }, options);
+        try {
+            ChildProcess.execFileSync(cmd, args || [], options);
+        } catch (err) {
+            throw new Errors.CommandFailedError(cmd, args, err);
+        }
+    }
+
+    runCompose(args, options) {
+        var command = this.getEngine().getCommand(this.prefix, args);
+        options = _.assign({ cwd: this.configFolder }, options);
+        this.run(_.first(command), _.tail(command), options);
+    }
+
+    captureCompose(args, options) {
+        var command = this.getEngine().getCommand(this.prefix, args);
+        options = _.assign({ cwd: this.configFolder }, options);
+        return this.capture(_.first(command), _.tail(command), options);
+    }
+
+    /**
+     * Return the Compose implementation in use, detecting it the first time
+     *
+     * @return {ComposeEngine}
+     */
+    getEngine() {
+        if (!this.engine) {
+            var engine = ComposeEngine.detectEngine(this.engineName);
+            if (!engine) {
+                var title = (this.engineName === 'podman') ? 'podman-compose' : 'Docker Compose';
+                throw new Errors.DockerUnavailableError(`${title} is not installed`);
+            }
+            engine.checkVersion();
+            this.engine = engine;
+        }
+        return this.engine;
+    }
+
+    findEngine() {
+        try {
+            return this.getEngine();
+        } catch (err) {
+            return null;
+        }
+    }
+
+    runFiltered(cmd, args, pattern) {
+        try {
+            new RegExp(pattern);
+        } catch (err) {
+            throw new Errors.UsageError(err.message);
+        }
+        // pipe output through grep so lines appear as they're written
+        var script = '"$0" "$@" | grep -E --line-buffered -e "$TRAMBAR_GREP_PATTERN"';
+        var options = {
+            cwd: this.configFolder,
+            stdio: this.stdio,
+            env: _.assign({}, process.env, { TRAMBAR_GREP_PATTERN: pattern }),
+        };
+        try {
+            ChildProcess.execFileSync('sh', _.concat([ '-c', script, cmd ], args), options);
+        } catch (err) {
+            // grep exits with 1 when nothing matches
+            if (err.status !== 1) {
+                throw new Errors.CommandFailedError(cmd, args, err);
+            }
+        }
+    }
+
+    capture(cmd, args, options) {
+        try {
+            return ChildProcess.execFileSync(cmd, args, options).toString('utf-8');
+        } catch (err) {
+            throw new Errors.CommandFailedError(cmd, args, err);
+        }
+    }
+}
+
+function diagnoseFile(path, description, results) {
+    try {
+        FS.accessSync(path, FS.constants.R_OK);
+        results.push({ status: 'pass', message: `${description} is readable: ${path}` });
+        return true;
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            results.push({ status: 'fail', message: `${description} not found: ${path}` });
+        } else {
+            results.push({ status: 'fail', message: `${description} is not readable: ${path}` });
+        }
+        return false;
+    }
+}
+
+function diagnoseCertificate(path, results) {
+    var expiration = _.get(getCertificateInfo(path), 'notAfter');
+    if (!expiration) {
+        results.push({ status: 'warn', message: `Unable to determine expiration date of ${path}` });
+        return;
+    }
+    var days = Math.floor((expiration - new Date) / (24 * 60 * 60 * 1000));
+    var date = expiration.toISOString().substr(0, 10);
+    if (days < 0) {
+        results.push({ status: 'fail', message: `SSL certificate expired on ${date}` });
+    } else if (days < 30) {
+        results.push({ status: 'warn', message: `SSL certificate will expire in ${days} days (${date})` });
+    } else {
+        results.push({ status: 'pass', message: `SSL certificate is valid until ${date}` });
+    }
+}
+
+function selectBackups(backups, count, getKey) {
+    var selected = [];
+    var keys = [];
+    _.each(backups, (backup) => {
+        if (keys.length >= (count || 0)) {
+            return false;
+        }
+        var key = getKey(backup.date);
+        if (!_.includes(keys, key)) {
+            keys.push(key);
+            selected.push(backup);
+        }
+    });
+    return selected;
+}
+
+function getImageDigest(details, image) {
+    var digest = _.find(details.RepoDigests, (digest) => {
+        return _.startsWith(normalizeImageName(digest), `${image}@`);
+    });
+    return (digest) ? digest.substr(digest.indexOf('@') + 1) : null;
+}
+
+var snippetTemplates = [
+    { name: 'access-list', description: 'Allow or deny access by client address' },
+    { name: 'body-size', description: 'Maximum size of uploads (client_max_body_size)' },
+    { name: 'hsts', description: 'Strict-Transport-Security header' },
+    { name: 'rate-limit', description: 'Limit number of requests from each client address' },
+    { name: 'real-ip', description: 'Take client addresses from X-Forwarded-For sent by trusted proxies' },
+];
+
+var proxyTemplates = [
+    { name: 'nginx', file: 'nginx.conf' },
+    { name: 'caddy', file: 'Caddyfile' },
+    { name: 'traefik', file: 'traefik.yml' },
+];
+
+function parseAddressList(text, noAll) {
+    var addresses = _.filter(_.map(_.split(text, /[,\s]+/), _.trim));
+    if (_.isEqual(addresses, [ 'none' ])) {
+        return [];
+    }
+    _.each(addresses, (address) => {
+        var parts = _.split(address, '/');
+        var valid;
+        if (address === 'all') {
+            valid = !noAll;
+        } else if (parts.length <= 2 && Net.isIP(parts[0])) {
+            var bits = (Net.isIPv4(parts[0])) ? 32 : 128;
+            valid = (parts.length === 1) || (/^\d+$/.test(parts[1]) && parseInt(parts[1]) <= bits);
+        }
+        if (!valid) {
+            throw new Errors.UsageError(`Invalid address: ${address}`);
+        }
+    });
+    return addresses;
+}
+
+function getRealIPRules(addresses) {
+    return _.map(addresses, (address) => `set_real_ip_from ${address};`).join('\n');
+}
+
+// database roles and the variables in .env holding their passwords
+var databaseRoles = {
+    root: 'TRAMBAR_DATABASE_ROOT_PASSWORD',
+    admin_role: 'TRAMBAR_DATABASE_ADMIN_PASSWORD',
+    client_role: 'TRAMBAR_DATABASE_CLIENT_PASSWORD',
+    auth_role: 'TRAMBAR_DATABASE_AUTH_PASSWORD',
+};
+
+// folders that Docker refuses to relabel
+var systemFolders = [
+    '/', '/bin', '/boot', '/dev', '/etc', '/home', '/lib', '/lib64', '/media',
+    '/opt', '/proc', '/root', '/run', '/sbin', '/srv', '/sys', '/tmp', '/usr', '/var',
+];
+
+function checkPort(port, host) {
+    return new Promise((resolve) => {
+        var server = Net.createServer();
+        server.once('error', (err) => {
+            resolve(err);
+        });
+        server.listen(port, host || undefined, () => {
+            server.close(() => {
+                resolve(null);
+            });
+        });
+    });
+}
+
+function getExistingFolder(path) {
+    if (!path) {
+        return null;
+    }
+    // the folder might not have been created yet
+    while (!FS.existsSync(path)) {
+        var parent = Path.dirname(path);
+        if (parent === path) {
+            return null;
+        }
+        path = parent;
+    }
+    return path;
+}
+
+function getFileSystemType(path) {
+    var folder = getExistingFolder(path);
+    try {
+        folder = FS.realpathSync(folder);
+        var text = FS.readFileSync('/proc/mounts', 'utf-8');
+    } catch (err) {
+        return null;
+    }
+    var mounts = _.map(_.filter(_.split(text, '\n')), (line) => {
+        var fields = _.split(line, ' ');
+        return { folder: fields[1], type: fields[2] };
+    });
+    var matches = _.filter(mounts, (mount) => {
+        return folder === mount.folder || _.startsWith(folder, _.trimEnd(mount.folder, '/') + '/');
+    });
+    var mount = _.last(_.sortBy(matches, (mount) => mount.folder.length));
+    return (mount) ? mount.type : null;
+}
+
+function isSELinuxEnforcing() {
+    try {
+        return _.trim(FS.readFileSync('/sys/fs/selinux/enforce', 'utf-8')) === '1';
+    } catch (err) {
+        return false;
+    }
+}
+
+function isAppArmorEnabled() {
+    try {
+        return _.trim(FS.readFileSync('/sys/module/apparmor/parameters/enabled', 'utf-8')) === 'Y';
+    } catch (err) {
+        return false;
+    }
+}
+
+function formatCommand(cmd, args) {
+    return _.map(_.concat(cmd, args || []), (arg) => {
+        return (/^[\w@%+=:,.\/-]+$/.test(arg)) ? arg : `'${_.replace(arg, /'/g, `'\\''`)}'`;
+    }).join(' ');
+}
+
+function generatePassword() {
+    return Crypto.randomBytes(16).toString('hex');
+}
+
+function normalizeImageName(name) {
+    // Podman reports images with the registry's host name
+    return _.replace(name, /^(docker\.io|localhost)\/(library\/)?/, '');
+}
+
+function getCPUUsage(stats) {
+    var cpu = stats.cpu_stats || {};
+    var precpu = stats.precpu_stats || {};
+    var cpuDelta = _.get(cpu, 'cpu_usage.total_usage', 0) - _.get(precpu, 'cpu_usage.total_usage', 0);
+    var systemDelta = (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+    var count = cpu.online_cpus || _.size(_.get(cpu, 'cpu_usage.percpu_usage')) || 1;
+    if (!(cpuDelta > 0 && systemDelta > 0)) {
+        return 0;
+    }
+    // calculated the same way as in "docker stats"
+    return _.round(cpuDelta / systemDelta * count * 100, 2);
+}
+
+function getMemoryUsage(stats) {
+    var memory = stats.memory_stats || {};
+    // inactive page cache isn't counted (total_inactive_file in cgroup v1)
+    var inactive = _.get(memory, 'stats.total_inactive_file', _.get(memory, 'stats.inactive_file', 0));
+    var usage = memory.usage || 0;
+    if (inactive < usage) {
+        usage -= inactive;
+    }
+    return {
+        usage: usage,
+        limit: memory.limit || null,
+        percent: (memory.limit) ? _.round(usage / memory.limit * 100, 2) : null,
+    };
+}
+
+function getCertificateInfo(path) {
+    var cmd = 'openssl';
+    var args = [ 'x509', '-noout', '-text', '-in', path ];
+    var options = {
+        stdio: [ 'ignore', 'pipe', 'ignore' ]
+    };
+    try {
+        var text = ChildProcess.execFileSync(cmd, args, options).toString('utf-8');
+        var find = (re) => {
+            var m = re.exec(text);
+            return (m) ? _.trim(m[1]) : '';
+        };
+        var parseDate = (s) => {
+            var date = new Date(s);
+            return (date.getTime() === date.getTime()) ? date : null;
+        };
+        var altNames = find(/X509v3 Subject Alternative Name:.*\r?\n(.*)/);
+        return {
+            subject: find(/Subject: (.*)/),
+            issuer: find(/Issuer: (.*)/),
+            notBefore: parseDate(find(/Not Before\s*: (.*)/)),
+            notAfter: parseDate(find(/Not After\s*: (.*)/)),
+            altNames: (altNames) ? _.map(_.split(altNames, ','), _.trim) : [],
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
+function getCertificateHostNames(domain) {
+    var names = [ domain, OS.hostname(), 'localhost' ];
+    _.each(OS.networkInterfaces(), (interfaces) => {
+        _.each(interfaces, (iface) => {
+            if (!/^fe80:/i.test(iface.address)) {
+                names.push(iface.address);
+            }
+        });
+    });
+    return _.uniq(_.filter(names));
+}
+
+module.exports = TrambarServer;
@@ -0,0 +1,281 @@
+var _ = require('lodash');
+var OS = require('os');
+var FS = require('fs');
+var Path = require('path');
+var ChildProcess = require('child_process');
+var Crypto = require('crypto');
+
+function getTextDiff(before, after, context) {
+    var a = _.split(before, /\r?\n/);
+    var b = _.split(after, /\r?\n/);
+    if (context === undefined) {
+        context = 3;
+    }
+    // find longest common subsequence
+    var lengths = _.map(_.range(a.length + 1), () => {
+        return _.fill(Array(b.length + 1), 0);
+    });
+    for (var i = a.length - 1; i >= 0; i--) {
+        for (var j = b.length - 1; j >= 0; j--) {
+            if (a[i] === b[j]) {
+                lengths[i][j] = lengths[i + 1][j + 1] + 1;
+            } else {
+                lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+    }
+    var changes = [];
+    var i = 0, j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            changes.push({ type: ' ', line: a[i], i: i++, j: j++ });
+        } else if (i < a.length && (j >= b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            changes.push({ type: '-', line: a[i], i: i++, j: j });
+        } else {
+            changes.push({ type: '+', line: b[j], i: i, j: j++ });
+        }
+    }
+    // group changes into hunks with surrounding context
+    var lines = [];
+    var index = 0;
+    while (index < changes.length) {
+        if (changes[index].type === ' ') {
+            index++;
+            continue;
+        }
+        var start = Math.max(0, index - context);
+        var end = index;
+        var unchanged = 0;
+        while (end < changes.length && unchanged <= context * 2) {
+            unchanged = (changes[end].type === ' ') ? unchanged + 1 : 0;
+            end++;
+        }
+        end -= Math.max(0, unchanged - context);
+        var hunk = changes.slice(start, end);
+        var oldCount = _.filter(hunk, (c) => c.type !== '+').length;
+        var newCount = _.filter(hunk, (c) => c.type !== '-').length;
+        lines.push(`@@ -${hunk[0].i + 1},${oldCount} +${hunk[0].j + 1},${newCount} @@`);
+        _.each(hunk, (c) => {
+            lines.push(c.type + c.line);
+        });
+        index = end;
+    }
+    return lines;
+}
+
+function maskSecrets(lines) {
+    // diffs of .env and trambar.htpasswd end up in logs and tickets
+    return _.map(lines, (line) => {
+        return _.replace(line, /^([-+ ]\s*#?\s*\w*_PASSWORD\s*=).*$/, '$1********')
+                .replace(/^([-+ ][^:\s]+:)\$2[aby]?\$.*$/, '$1********');
+    });
+}
+
+function getReferencedVariables(composeText) {
+    var lines = _.reject(_.split(composeText, /\r?\n/), (line) => {
+        return /^\s*#/.test(line);
+    });
+    var names = [];
+    _.each(lines, (line) => {
+        var re = /\$\{(\w+)\}/g, m;
+        while (m = re.exec(line)) {
+            names.push(m[1]);
+        }
+    });
+    return _.uniq(names);
+}
+
+function parseEnvironment(text) {
+    var env = {};
+    _.each(_.split(text, /\r?\n/), (line) => {
+        var m = /^\s*([^#=\s][^=]*?)\s*=(.*)$/.exec(line);
+        if (m) {
+            env[m[1]] = _.trim(m[2]);
+        }
+    });
+    return env;
+}
+
+async function lockFile(path) {
+    var lockPath = `${path}.lock`;
+    for (var attempt = 0; attempt < 50; attempt++) {
+        try {
+            var fd = FS.openSync(lockPath, 'wx');
+            FS.writeSync(fd, `${process.pid}\n`);
+            FS.closeSync(fd);
+            return lockPath;
+        } catch (err) {
+            if (err.code !== 'EEXIST') {
+                throw err;
+            }
+            await sleep(100);
+        }
+    }
+    throw new Error(`Unable to lock ${path} (remove ${lockPath} if no other instance is running)`);
+}
+
+function unlockFile(lockPath) {
+    try {
+        FS.unlinkSync(lockPath);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+function removeFolder(path) {
+    if (!FS.existsSync(path)) {
+        return;
+    }
+    _.each(FS.readdirSync(path), (name) => {
+        var childPath = `${path}/${name}`;
+        if (FS.lstatSync(childPath).isDirectory()) {
+            removeFolder(childPath);
+        } else {
+            FS.unlinkSync(childPath);
+        }
+    });
+    FS.rmdirSync(path);
+}
+
+function getFileChecksum(path) {
+    var hash = Crypto.createHash('sha256');
+    var buffer = Buffer.alloc(1024 * 1024);
+    var fd = FS.openSync(path, 'r');
+    try {
+        var count;
+        while ((count = FS.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            hash.update(buffer.slice(0, count));
+        }
+    } finally {
+        FS.closeSync(fd);
+    }
+    return hash.digest('hex');
+}
+
+function getTimestamp(date) {
+    var pad = (n) => _.padStart(n, 2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+         + `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+function formatDate(date) {
+    var timestamp = getTimestamp(date);
+    return timestamp.replace(/^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})$/, '$1-$2-$3 $4:$5:$6');
+}
+
+function formatSize(bytes) {
+    var units = [ 'B', 'KB', 'MB', 'GB', 'TB' ];
+    var index = 0;
+    while (bytes >= 1000 && index < units.length - 1) {
+        bytes /= 1000;
+        index++;
+    }
+    return `${_.round(bytes, 1)}${units[index]}`;
+}
+
+function parseSize(text) {
+    // same units as Docker's --memory option
+    var m = /^(\d+(\.\d+)?)([bkmg]?)$/i.exec(_.trim(text));
+    if (!m) {
+        return null;
+    }
+    var units = { '': 1, b: 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+    return Math.round(parseFloat(m[1]) * units[_.toLower(m[3])]);
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+}
+
+function isInstalled(program) {
+    var cmd = `${program} --version`;
+    try {
+        var options = {
+            stdio: [ 'pipe', 'pipe', 'ignore' ]
+        };
+        ChildProcess.execSync(cmd, options);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+function findExecutable(program) {
+    var folders = _.filter(_.split(process.env.PATH, Path.delimiter));
+    for (var folder of folders) {
+        var path = Path.join(folder, program);
+        try {
+            FS.accessSync(path, FS.constants.X_OK);
+            return path;
+        } catch (err) {
+        }
+    }
+    return null;
+}
+
+function compareVersions(a, b) {
+    var partsA = _.map(_.split(a, '.'), (n) => parseInt(n) || 0);
+    var partsB = _.map(_.split(b, '.'), (n) => parseInt(n) || 0);
+    var count = Math.max(partsA.length, partsB.length);
+    for (var i = 0; i < count; i++) {
+        var diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) {
+            return (diff > 0) ? 1 : -1;
+        }
+    }
+    return 0;
+}
+
+function getPackage() {
+    var text = FS.readFileSync(`${__dirname}/../package.json`, 'utf-8');
+    var json = JSON.parse(text);
+    return json;
+}
+
+function getVersion() {
+    var json = getPackage();
+    return _.get(json, 'version', 'unknown');
+}
+
+function isPublicServer() {
+    var devices = OS.networkInterfaces();
+    return _.some(devices, (interfaces, name) => {
+        return _.some(interfaces, (interface) => {
+            if (!interface.internal) {
+                if (interface.family === 'IPv4') {
+                    if (/^192\.168\./.test(interface.address)) {
+                        return false;
+                    } else if (/^169\.254\./.test(interface.address)) {
+                        return false;
+                    }
+                    return true;
+                }
+            }
+        });
+    });
+}
+
+module.exports = {
+    getTextDiff,
+    maskSecrets,
+    getReferencedVariables,
+    parseEnvironment,
+    lockFile,
+    unlockFile,
+    removeFolder,
+    getFileChecksum,
+    getTimestamp,
+    formatDate,
+    formatSize,
+    parseSize,
+    sleep,
+    isInstalled,
+    findExecutable,
+    compareVersions,
+    getPackage,
+    getVersion,
+    isPublicServer,
+};
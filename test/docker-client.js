@@ -0,0 +1,103 @@
+var _ = require('lodash');
+var FS = require('fs');
+var HTTP = require('http');
+var OS = require('os');
+var Assert = require('assert');
+var DockerClient = require('../lib/docker-client');
+var Errors = require('../lib/errors');
+
+// responses of the stub daemon, keyed by method and path
+var routes = {
+    'GET /_ping': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('OK');
+    },
+    'DELETE /images/trambar/trambar-postgres:latest': (req, res) => {
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'image is being used by running container 1234' }));
+    },
+    'POST /images/create': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.write(JSON.stringify({ status: 'Pulling from trambar/trambar-postgres', id: 'latest' }) + '\r\n');
+        res.end(JSON.stringify({ error: 'manifest unknown', errorDetail: { message: 'manifest unknown' } }) + '\r\n');
+    },
+};
+
+var tests = [
+    {
+        name: 'ping',
+        run: async (client) => {
+            await client.ping();
+        },
+    },
+    {
+        name: 'removeImage() rejects with ImageInUseError on 409',
+        run: async (client) => {
+            await Assert.rejects(client.removeImage('trambar/trambar-postgres:latest'), (err) => {
+                return err instanceof Errors.ImageInUseError && /being used/.test(err.message);
+            });
+        },
+    },
+    {
+        name: 'pullImage() rejects on error event in stream',
+        run: async (client) => {
+            var events = [];
+            await Assert.rejects(client.pullImage('trambar/trambar-postgres', (event) => {
+                events.push(event);
+            }), (err) => {
+                return err instanceof Errors.DockerAPIError && err.message === 'manifest unknown';
+            });
+            Assert.strictEqual(events.length, 1);
+        },
+    },
+    {
+        name: 'missing socket gives DaemonUnreachableError',
+        run: async (client, socketPath) => {
+            var missing = new DockerClient({ socketPath: `${socketPath}.missing` });
+            await Assert.rejects(missing.ping(), Errors.DaemonUnreachableError);
+        },
+    },
+];
+
+async function main() {
+    var socketPath = `${OS.tmpdir()}/trambar-test-${process.pid}.sock`;
+    var server = HTTP.createServer((req, res) => {
+        var route = routes[`${req.method} ${decodeURI(req.url.replace(/\?.*/, ''))}`];
+        if (route) {
+            route(req, res);
+        } else {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: `No route: ${req.method} ${req.url}` }));
+        }
+    });
+    await new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(socketPath, resolve);
+    });
+    var client = new DockerClient({ socketPath });
+    var failures = 0;
+    try {
+        for (var test of tests) {
+            try {
+                await test.run(client, socketPath);
+                console.log(`ok - ${test.name}`);
+            } catch (err) {
+                console.log(`not ok - ${test.name}`);
+                console.log(`  ${_.replace(err.stack, /\n/g, '\n  ')}`);
+                failures++;
+            }
+        }
+    } finally {
+        server.close();
+        if (FS.existsSync(socketPath)) {
+            FS.unlinkSync(socketPath);
+        }
+    }
+    console.log(`${tests.length - failures} of ${tests.length} passed`);
+    process.exitCode = (failures > 0) ? 1 : 0;
+}
+
+main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});